@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { compareRows, runConformanceTests } from '../src/conformance.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Conformance Runner', () => {
+    const testsDir = path.join(__dirname, 'fixtures', 'conformance');
+
+    beforeAll(() => {
+        // Create a test case file in the SQL-on-FHIR v2 layout
+        fs.mkdirSync(testsDir, { recursive: true });
+        fs.writeFileSync(path.join(testsDir, 'basic.json'), JSON.stringify({
+            title: 'basic',
+            resources: [
+                { resourceType: 'Patient', id: 'pt1', active: true },
+                { resourceType: 'Patient', id: 'pt2', active: false }
+            ],
+            tests: [
+                {
+                    title: 'basic attribute',
+                    view: {
+                        name: 'basic_attribute',
+                        status: 'active',
+                        resource: 'Patient',
+                        select: [{ column: [{ name: 'id', path: 'id' }] }]
+                    },
+                    expect: [{ id: 'pt2' }, { id: 'pt1' }]
+                },
+                {
+                    title: 'wrong rows',
+                    view: {
+                        name: 'wrong_rows',
+                        status: 'active',
+                        resource: 'Patient',
+                        select: [{ column: [{ name: 'id', path: 'id' }] }]
+                    },
+                    expect: [{ id: 'pt1' }, { id: 'pt3' }]
+                },
+                {
+                    title: 'view without name or status',
+                    view: {
+                        resource: 'Patient',
+                        select: [{ column: [{ name: 'id', path: 'id' }] }]
+                    },
+                    expect: [{ id: 'pt1' }, { id: 'pt2' }]
+                },
+                {
+                    title: 'nested select columns',
+                    view: {
+                        resource: 'Patient',
+                        select: [
+                            { column: [{ name: 'id', path: 'id' }] },
+                            { select: [{ column: [{ name: 'active', path: 'active' }] }] }
+                        ]
+                    },
+                    expectColumns: ['id', 'active'],
+                    expect: [{ id: 'pt1', active: true }, { id: 'pt2', active: false }]
+                },
+                {
+                    title: 'invalid column name',
+                    view: {
+                        name: 'invalid_column_name',
+                        status: 'active',
+                        resource: 'Patient',
+                        select: [{ column: [{ name: '1id', path: 'id' }] }]
+                    },
+                    expectError: true
+                }
+            ]
+        }));
+    });
+
+    afterAll(() => {
+        fs.rmSync(testsDir, { recursive: true, force: true });
+    });
+
+    it('should compare rows ignoring row and key order', () => {
+        const result = compareRows(
+            [{ b: 2, a: 1 }, { a: 3, b: 4 }],
+            [{ a: 3, b: 4 }, { a: 1, b: 2 }]
+        );
+        expect(result).toEqual({ missing: [], unexpected: [] });
+    });
+
+    it('should report pass/fail per test with row diffs', () => {
+        const report = runConformanceTests(testsDir);
+
+        expect(report['basic.json'].tests).toEqual([
+            { name: 'basic attribute', result: { passed: true } },
+            {
+                name: 'wrong rows',
+                result: { passed: false, missing: [{ id: 'pt3' }], unexpected: [{ id: 'pt2' }] }
+            },
+            { name: 'view without name or status', result: { passed: true } },
+            { name: 'nested select columns', result: { passed: true } },
+            { name: 'invalid column name', result: { passed: true } }
+        ]);
+    });
+});
@@ -1,5 +1,7 @@
 import { jest, describe, it, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
 import getDatabaseHandler from '../src/duckdbHandler.js';
+import config from '../src/config.js';
+import { hashViewDefinition } from '../src/utils.js';
 
 // Mock the logger
 const logger = {
@@ -20,7 +22,7 @@ describe('DuckDBHandler', () => {
     });
 
     beforeEach(async () => {
-        const tablesToReset = ['test_table', 'patient_identifier']; // Add all tables to reset here
+        const tablesToReset = ['test_table', 'patient_identifier', 'observation_values', 'schema_evolution']; // Add all tables to reset here
         let connection;
         try {
             connection = await dbHandler.getConnection();
@@ -35,16 +37,28 @@ describe('DuckDBHandler', () => {
                 await connection.run(`DROP SEQUENCE IF EXISTS ${sequenceName}`);
 
                 // Recreate the table
-                const columns = tableName === 'patient_identifier'
-                    ? [
+                const columnsByTable = {
+                    patient_identifier: [
                         { name: 'patient_id', type: 'VARCHAR' }, // Resource key
                         { name: 'identifier_type', type: 'VARCHAR' },
                         { name: 'identifier_value', type: 'VARCHAR' }
+                    ],
+                    observation_values: [
+                        { name: 'observation_id', type: 'string' }, // Resource key
+                        { name: 'value', type: 'decimal' },
+                        { name: 'codes', type: 'code', collection: true },
+                        { name: 'issued', type: 'instant' }
+                    ],
+                    schema_evolution: [
+                        { name: 'patient_id', type: 'string' }, // Resource key
+                        { name: 'age', type: 'integer' },
+                        { name: 'birth_date', type: 'date' }
                     ]
-                    : [
-                        { name: 'test_table_id', type: 'VARCHAR' }, // No primary key here
-                        { name: 'value', type: 'VARCHAR' }
-                    ];
+                };
+                const columns = columnsByTable[tableName] || [
+                    { name: 'test_table_id', type: 'VARCHAR' }, // No primary key here
+                    { name: 'value', type: 'VARCHAR' }
+                ];
 
                 await dbHandler.createTable(tableName, columns);
             }
@@ -59,7 +73,7 @@ describe('DuckDBHandler', () => {
     });
 
     afterAll(async () => {
-        const tablesToDelete = ['test_table', 'patient_identifier']; // Add all tables to delete here
+        const tablesToDelete = ['test_table', 'patient_identifier', 'observation_values', 'schema_evolution']; // Add all tables to delete here
         let connection;
         try {
             connection = await dbHandler.getConnection();
@@ -180,6 +194,25 @@ describe('DuckDBHandler', () => {
             }
         });
 
+        it('should count every replaced row of a resource key', async () => {
+            const tableName = 'patient_identifier';
+            const resourceKey = 'patient_id';
+
+            await dbHandler.upsertData(tableName, [
+                { patient_id: '123', identifier_type: 'SSN', identifier_value: '123-45-6789' },
+                { patient_id: '123', identifier_type: 'MRN', identifier_value: '987654' }
+            ], resourceKey);
+
+            const result = await dbHandler.upsertData(tableName, [
+                { patient_id: '123', identifier_type: 'SSN', identifier_value: '123-45-6789' },
+                { patient_id: '123', identifier_type: 'MRN', identifier_value: '987654' },
+                { patient_id: '123', identifier_type: 'DL', identifier_value: 'D1234' },
+                { patient_id: '456', identifier_type: 'MRN', identifier_value: '111111' }
+            ], resourceKey);
+
+            expect(result).toEqual({ inserted: 1, deleted: 2, updated: 2, errors: 0, stale: 0 });
+        });
+
         it('should handle upsert with no existing records', async () => {
             const tableName = 'test_table';
             const resourceKey = 'test_table_id';
@@ -258,4 +291,691 @@ describe('DuckDBHandler', () => {
             }
         });
     });
+
+    describe('Bulk Loading', () => {
+        const readObservationValues = async () => {
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                const result = await connection.runAndReadAll(
+                    'SELECT observation_id, value, codes, CAST(issued AS VARCHAR) FROM observation_values ORDER BY observation_id'
+                );
+                return result.getRows().map(([observationId, value, codes, issued]) => ({
+                    observation_id: observationId,
+                    value,
+                    codes: codes === null ? null : codes.items,
+                    issued
+                }));
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+        };
+
+        it('should load typed and LIST columns', async () => {
+            const rows = [
+                { observation_id: '1', value: 7.5, codes: ['a', 'b'], issued: '2024-05-01T10:30:00.000Z' },
+                { observation_id: '2', value: null, codes: [], issued: null }
+            ];
+
+            const result = await dbHandler.upsertData('observation_values', rows, 'observation_id');
+            expect(result).toEqual({ inserted: 2, deleted: 0, updated: 0, errors: 0, stale: 0 });
+
+            expect(await readObservationValues()).toEqual([
+                { observation_id: '1', value: 7.5, codes: ['a', 'b'], issued: '2024-05-01 10:30:00' },
+                { observation_id: '2', value: null, codes: [], issued: null }
+            ]);
+        });
+
+        it('should insert a failing chunk row by row and reject only its bad rows', async () => {
+            const defaultBatchSize = config.batchSize;
+            config.batchSize = 2;
+            const rows = [
+                { observation_id: '1', value: 1 },
+                { observation_id: '2', value: 2 },
+                { observation_id: '3', value: 'not a number' },
+                { observation_id: '4', value: 4 },
+                { observation_id: '5', value: 5, issued: 'yesterday' }
+            ];
+
+            let result;
+            try {
+                result = await dbHandler.upsertData('observation_values', rows, 'observation_id');
+            } finally {
+                config.batchSize = defaultBatchSize;
+            }
+
+            expect(result).toEqual({ inserted: 3, deleted: 0, updated: 0, errors: 2, stale: 0 });
+            expect((await readObservationValues()).map(row => row.observation_id)).toEqual(['1', '2', '4']);
+        });
+    });
+
+    describe('Versioned Upserts', () => {
+        const tableName = 'patient_identifier';
+        const resourceKey = 'patient_id';
+
+        const readRows = async () => {
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                const result = await connection.runAndReadAll(
+                    `SELECT patient_id, identifier_value, version_id, CAST(last_updated AS VARCHAR) FROM ${tableName} ORDER BY patient_id, identifier_value`
+                );
+                return result.getRows();
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+        };
+
+        beforeEach(async () => {
+            await dbHandler.upsertData(tableName, [
+                { patient_id: '1', identifier_type: 'MRN', identifier_value: 'v2' },
+                { patient_id: '2', identifier_type: 'MRN', identifier_value: 'v1' }
+            ], resourceKey, {
+                versions: [
+                    { versionId: '2', lastUpdated: '2024-02-01T00:00:00.000Z' },
+                    { versionId: '1', lastUpdated: '2024-01-01T00:00:00.000Z' }
+                ]
+            });
+        });
+
+        it('should store the version of the resource behind each row', async () => {
+            expect(await readRows()).toEqual([
+                ['1', 'v2', '2', '2024-02-01 00:00:00'],
+                ['2', 'v1', '1', '2024-01-01 00:00:00']
+            ]);
+        });
+
+        it('should replace rows only with newer or equal versions and count stale resources', async () => {
+            const result = await dbHandler.upsertData(tableName, [
+                { patient_id: '1', identifier_type: 'MRN', identifier_value: 'v1' },
+                { patient_id: '2', identifier_type: 'MRN', identifier_value: 'v2' },
+                { patient_id: '3', identifier_type: 'MRN', identifier_value: 'v1' }
+            ], resourceKey, {
+                versions: [
+                    { versionId: '1', lastUpdated: '2024-01-01T00:00:00.000Z' },
+                    { versionId: '2', lastUpdated: '2024-01-01T00:00:00.000Z' },
+                    { versionId: '1', lastUpdated: null }
+                ]
+            });
+
+            expect(result).toEqual({ inserted: 1, deleted: 1, updated: 1, errors: 0, stale: 1 });
+            expect(await readRows()).toEqual([
+                ['1', 'v2', '2', '2024-02-01 00:00:00'],
+                ['2', 'v2', '2', '2024-01-01 00:00:00'],
+                ['3', 'v1', '1', null]
+            ]);
+        });
+
+        it('should keep only the newest version of a resource staged twice', async () => {
+            const result = await dbHandler.upsertData(tableName, [
+                { patient_id: '4', identifier_type: 'MRN', identifier_value: 'v3' },
+                { patient_id: '4', identifier_type: 'MRN', identifier_value: 'v2' }
+            ], resourceKey, {
+                versions: [
+                    { versionId: '3', lastUpdated: '2024-03-01T00:00:00.000Z' },
+                    { versionId: '2', lastUpdated: '2024-02-01T00:00:00.000Z' }
+                ]
+            });
+
+            expect(result).toEqual({ inserted: 1, deleted: 0, updated: 0, errors: 0, stale: 1 });
+            expect((await readRows()).filter(([key]) => key === '4')).toEqual([['4', 'v3', '3', '2024-03-01 00:00:00']]);
+        });
+
+        describe('Shared Resource Versions', () => {
+            const query = async (sql) => {
+                let connection;
+                try {
+                    connection = await dbHandler.getConnection();
+                    return (await connection.runAndReadAll(sql)).getRows();
+                } finally {
+                    if (connection) {
+                        await dbHandler.releaseConnection(connection);
+                    }
+                }
+            };
+
+            beforeEach(async () => {
+                await query('DROP TABLE IF EXISTS _resource_versions');
+            });
+
+            afterAll(async () => {
+                await query('DROP TABLE IF EXISTS _resource_versions');
+            });
+
+            it('should reject an older version in a view that has no rows for the newer one', async () => {
+                // The newer version has no identifiers, so only the other view of the resource type loads it
+                await dbHandler.upsertData('schema_evolution', [{ patient_id: '5', age: '40' }], resourceKey, {
+                    versions: [{ versionId: '2', lastUpdated: '2024-02-01T00:00:00.000Z' }],
+                    resourceType: 'Patient'
+                });
+
+                const result = await dbHandler.upsertData(tableName, [
+                    { patient_id: '5', identifier_type: 'MRN', identifier_value: 'OLD' }
+                ], resourceKey, {
+                    versions: [{ versionId: '1', lastUpdated: '2024-01-01T00:00:00.000Z' }],
+                    resourceType: 'Patient'
+                });
+
+                expect(result).toEqual({ inserted: 0, deleted: 0, updated: 0, errors: 0, stale: 1 });
+                expect((await readRows()).filter(([key]) => key === '5')).toEqual([]);
+                expect(await query(
+                    "SELECT resource_id, version_id, CAST(last_updated AS VARCHAR), deleted FROM _resource_versions WHERE resource_type = 'Patient'"
+                )).toEqual([['5', '2', '2024-02-01 00:00:00', false]]);
+            });
+
+            it('should reject versions of a deleted resource not updated after its deletion', async () => {
+                await dbHandler.recordDeletedResources('Patient', ['6']);
+
+                const stale = await dbHandler.upsertData(tableName, [
+                    { patient_id: '6', identifier_type: 'MRN', identifier_value: 'v1' },
+                    { patient_id: '7', identifier_type: 'MRN', identifier_value: 'v1' }
+                ], resourceKey, {
+                    versions: [
+                        { versionId: '1', lastUpdated: '2024-01-01T00:00:00.000Z' },
+                        { versionId: '1', lastUpdated: null }
+                    ],
+                    resourceType: 'Patient'
+                });
+                expect(stale).toEqual({ inserted: 1, deleted: 0, updated: 0, errors: 0, stale: 1 });
+
+                // A version updated after the deletion brings the resource back
+                const recreated = await dbHandler.upsertData(tableName, [
+                    { patient_id: '6', identifier_type: 'MRN', identifier_value: 'v2' }
+                ], resourceKey, {
+                    versions: [{ versionId: '2', lastUpdated: '2999-01-01T00:00:00.000Z' }],
+                    resourceType: 'Patient'
+                });
+                expect(recreated).toEqual({ inserted: 1, deleted: 0, updated: 0, errors: 0, stale: 0 });
+                expect(await query(
+                    "SELECT resource_id, version_id, deleted FROM _resource_versions WHERE resource_type = 'Patient' ORDER BY resource_id"
+                )).toEqual([['6', '2', false], ['7', '1', false]]);
+            });
+
+            it('should keep the date of a deletion applied again', async () => {
+                await dbHandler.recordDeletedResources('Patient', ['8']);
+                const [[firstDeletion]] = await query("SELECT CAST(last_updated AS VARCHAR) FROM _resource_versions WHERE resource_id = '8'");
+
+                await new Promise(resolve => setTimeout(resolve, 5));
+                await dbHandler.recordDeletedResources('Patient', ['8']);
+
+                expect(await query("SELECT CAST(last_updated AS VARCHAR), deleted FROM _resource_versions WHERE resource_id = '8'"))
+                    .toEqual([[firstDeletion, true]]);
+            });
+        });
+    });
+
+    describe('Deletions', () => {
+        it('should delete every row of the deleted resources', async () => {
+            const tableName = 'patient_identifier';
+            await dbHandler.upsertData(tableName, [
+                { patient_id: '1', identifier_type: 'SSN', identifier_value: '123-45-6789' },
+                { patient_id: '1', identifier_type: 'MRN', identifier_value: '987654' },
+                { patient_id: '2', identifier_type: 'MRN', identifier_value: '123456' },
+                { patient_id: '3', identifier_type: 'MRN', identifier_value: '654321' }
+            ], 'patient_id');
+
+            const deleted = await dbHandler.deleteResources(tableName, 'patient_id', ['1', '3', '4']);
+            expect(deleted).toBe(3);
+
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                const result = await connection.runAndReadAll(`SELECT patient_id FROM ${tableName}`);
+                expect(result.getRows()).toEqual([['2']]);
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+        });
+
+        it('should delete nothing from a table that does not exist', async () => {
+            expect(await dbHandler.deleteResources('missing_table', 'patient_id', ['1'])).toBe(0);
+        });
+    });
+
+    describe('History Tables', () => {
+        const tableName = 'patient_identifier';
+        const resourceKey = 'patient_id';
+
+        const query = async (sql) => {
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                return (await connection.runAndReadAll(sql)).getRows();
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+        };
+
+        beforeEach(async () => {
+            await query(`DROP TABLE IF EXISTS ${tableName}_history`);
+            await dbHandler.createHistoryTable(tableName);
+            await dbHandler.upsertData(tableName, [
+                { patient_id: '1', identifier_type: 'MRN', identifier_value: 'v1' },
+                { patient_id: '2', identifier_type: 'MRN', identifier_value: 'v1' }
+            ], resourceKey, {
+                versions: [
+                    { versionId: '1', lastUpdated: '2024-01-01T00:00:00.000Z' },
+                    { versionId: '1', lastUpdated: '2024-01-01T00:00:00.000Z' }
+                ],
+                history: true
+            });
+        });
+
+        afterAll(async () => {
+            await query(`DROP TABLE IF EXISTS ${tableName}_history`);
+        });
+
+        it('should move replaced rows to the history table, valid until their new version', async () => {
+            const result = await dbHandler.upsertData(tableName, [
+                { patient_id: '1', identifier_type: 'MRN', identifier_value: 'v2' },
+                { patient_id: '2', identifier_type: 'MRN', identifier_value: 'v1' }
+            ], resourceKey, {
+                versions: [
+                    { versionId: '2', lastUpdated: '2024-02-01T00:00:00.000Z' },
+                    { versionId: '1', lastUpdated: '2024-01-01T00:00:00.000Z' }
+                ],
+                history: true
+            });
+
+            expect(result).toEqual({ inserted: 0, deleted: 2, updated: 2, errors: 0, stale: 0 });
+            // Patient 2 was reloaded at the same version, so none of its rows left the table
+            expect(await query(
+                `SELECT patient_id, identifier_value, version_id, CAST(valid_from AS VARCHAR), CAST(valid_to AS VARCHAR) FROM ${tableName}_history`
+            )).toEqual([['1', 'v1', '1', '2024-01-01 00:00:00', '2024-02-01 00:00:00']]);
+        });
+
+        it('should move deleted rows to the history table', async () => {
+            await dbHandler.deleteResources(tableName, resourceKey, ['2'], { history: true });
+
+            expect(await query(`SELECT patient_id FROM ${tableName}`)).toEqual([['1']]);
+            const rows = await query(`SELECT patient_id, identifier_value, CAST(valid_from AS VARCHAR), valid_to IS NOT NULL FROM ${tableName}_history`);
+            expect(rows).toEqual([['2', 'v1', '2024-01-01 00:00:00', true]]);
+        });
+
+        it('should rebuild the table as of a given time', async () => {
+            await dbHandler.upsertData(tableName, [
+                { patient_id: '1', identifier_type: 'MRN', identifier_value: 'v2' }
+            ], resourceKey, {
+                versions: [{ versionId: '2', lastUpdated: '2024-02-01T00:00:00.000Z' }],
+                history: true
+            });
+
+            const asOf = (timestamp) => query(
+                `SELECT patient_id, identifier_value FROM ${tableName}_as_of(TIMESTAMP '${timestamp}') ORDER BY patient_id`
+            );
+            expect(await asOf('2023-12-01')).toEqual([]);
+            expect(await asOf('2024-01-15')).toEqual([['1', 'v1'], ['2', 'v1']]);
+            expect(await asOf('2024-02-01')).toEqual([['1', 'v2'], ['2', 'v1']]);
+        });
+
+        it('should not archive the versions a rebuilt table replaces again', async () => {
+            const loadVersions = async () => {
+                await dbHandler.upsertData(tableName, [
+                    { patient_id: '1', identifier_type: 'MRN', identifier_value: 'v1' },
+                    { patient_id: '1', identifier_type: 'SSN', identifier_value: 'v1' },
+                    { patient_id: '2', identifier_type: 'MRN', identifier_value: 'v1' }
+                ], resourceKey, {
+                    versions: Array(3).fill({ versionId: '1', lastUpdated: '2024-01-01T00:00:00.000Z' }),
+                    history: true
+                });
+                await dbHandler.upsertData(tableName, [
+                    { patient_id: '1', identifier_type: 'MRN', identifier_value: 'v2' },
+                    { patient_id: '2', identifier_type: 'MRN', identifier_value: 'v2' }
+                ], resourceKey, {
+                    versions: Array(2).fill({ versionId: '2', lastUpdated: '2024-02-01T00:00:00.000Z' }),
+                    history: true
+                });
+            };
+            await loadVersions();
+
+            // A rebuild drops the table and processes every file again
+            await dbHandler.dropTable(tableName);
+            await dbHandler.createTable(tableName, [
+                { name: 'patient_id', type: 'VARCHAR' },
+                { name: 'identifier_type', type: 'VARCHAR' },
+                { name: 'identifier_value', type: 'VARCHAR' }
+            ]);
+            await dbHandler.createHistoryTable(tableName);
+            await loadVersions();
+
+            expect(await query(
+                `SELECT patient_id, identifier_value, COUNT(*) FROM ${tableName}_history GROUP BY ALL ORDER BY ALL`
+            )).toEqual([['1', 'v1', 2n], ['2', 'v1', 1n]]);
+            expect(await query(
+                `SELECT patient_id, identifier_type, identifier_value FROM ${tableName}_as_of(TIMESTAMP '2024-01-15') ORDER BY ALL`
+            )).toEqual([['1', 'MRN', 'v1'], ['1', 'SSN', 'v1'], ['2', 'MRN', 'v1']]);
+            expect(await query(
+                `SELECT patient_id, identifier_value FROM ${tableName}_as_of(TIMESTAMP '2024-02-01') ORDER BY ALL`
+            )).toEqual([['1', 'v2'], ['2', 'v2']]);
+        });
+
+        it('should add the new columns of the table to the history table', async () => {
+            await dbHandler.createTable(tableName, [
+                { name: 'patient_id', type: 'VARCHAR' },
+                { name: 'identifier_type', type: 'VARCHAR' },
+                { name: 'identifier_value', type: 'VARCHAR' },
+                { name: 'identifier_system', type: 'VARCHAR' }
+            ]);
+
+            const migrations = await dbHandler.createHistoryTable(tableName);
+            expect(migrations).toEqual([`ALTER TABLE ${tableName}_history ADD COLUMN identifier_system VARCHAR;`]);
+            expect(await dbHandler.createHistoryTable(tableName)).toEqual([]);
+        });
+    });
+
+    describe('Schema Evolution', () => {
+        const tableName = 'schema_evolution';
+        const resourceKey = 'patient_id';
+
+        const readColumns = async () => {
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                const result = await connection.runAndReadAll(
+                    `SELECT column_name, data_type FROM information_schema.columns WHERE table_name = '${tableName}' ORDER BY column_name`
+                );
+                return Object.fromEntries(result.getRows());
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+        };
+
+        it('should leave an unchanged table alone', async () => {
+            const result = await dbHandler.createTable(tableName, [
+                { name: 'patient_id', type: 'string' },
+                { name: 'age', type: 'integer' },
+                { name: 'birth_date', type: 'date' }
+            ], resourceKey);
+
+            expect(result).toEqual({ created: false, rebuilt: false, migrations: [] });
+        });
+
+        it('should add new columns and widen types in place, keeping the data', async () => {
+            await dbHandler.upsertData(tableName, [{ patient_id: '1', age: 42, birth_date: '1982-03-04' }], resourceKey);
+
+            const result = await dbHandler.createTable(tableName, [
+                { name: 'patient_id', type: 'string' },
+                { name: 'age', type: 'decimal' },
+                { name: 'birth_date', type: 'dateTime' },
+                { name: 'names', type: 'string', collection: true }
+            ], resourceKey);
+
+            expect(result).toEqual({
+                created: false,
+                rebuilt: false,
+                migrations: [
+                    'ALTER TABLE schema_evolution ALTER COLUMN age SET DATA TYPE DOUBLE;',
+                    'ALTER TABLE schema_evolution ALTER COLUMN birth_date SET DATA TYPE TIMESTAMP;',
+                    'ALTER TABLE schema_evolution ADD COLUMN names VARCHAR[];'
+                ]
+            });
+            expect(await readColumns()).toEqual(expect.objectContaining({
+                age: 'DOUBLE',
+                birth_date: 'TIMESTAMP',
+                names: 'VARCHAR[]'
+            }));
+
+            const upsertResult = await dbHandler.upsertData(tableName, [
+                { patient_id: '2', age: 7.5, birth_date: '2017-01-01T08:00:00Z', names: ['Ann'] }
+            ], resourceKey);
+            expect(upsertResult.inserted).toBe(1);
+            expect(upsertResult.errors).toBe(0);
+        });
+
+        it('should refuse destructive changes unless asked to rebuild', async () => {
+            await dbHandler.upsertData(tableName, [{ patient_id: '1', age: 42, birth_date: '1982-03-04' }], resourceKey);
+            const renamedColumns = [
+                { name: 'patient_id', type: 'string' },
+                { name: 'age_years', type: 'integer' },
+                { name: 'birth_date', type: 'date' }
+            ];
+
+            await expect(dbHandler.createTable(tableName, renamedColumns, resourceKey, { rebuild: false }))
+                .rejects.toThrow('needs destructive schema changes (drop column age)');
+
+            const result = await dbHandler.createTable(tableName, renamedColumns, resourceKey, { rebuild: true });
+            expect(result).toEqual({ created: false, rebuilt: true, migrations: ['drop column age'] });
+            expect(Object.keys(await readColumns()).sort())
+                .toEqual(['age_years', 'birth_date', 'id', 'last_updated', 'patient_id', 'run_id', 'version_id']);
+        });
+
+        it('should add the version columns to tables that stored load times in last_updated', async () => {
+            await dbHandler.upsertData(tableName, [{ patient_id: '1', age: 42, birth_date: '1982-03-04' }], resourceKey);
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                await connection.run(`ALTER TABLE ${tableName} DROP COLUMN version_id`);
+                await connection.run(`UPDATE ${tableName} SET last_updated = CURRENT_TIMESTAMP`);
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+
+            const result = await dbHandler.createTable(tableName, [
+                { name: 'patient_id', type: 'string' },
+                { name: 'age', type: 'integer' },
+                { name: 'birth_date', type: 'date' }
+            ], resourceKey);
+
+            expect(result.migrations).toEqual([
+                'ALTER TABLE schema_evolution ADD COLUMN version_id VARCHAR;',
+                'ALTER TABLE schema_evolution ALTER COLUMN last_updated DROP DEFAULT;',
+                'UPDATE schema_evolution SET last_updated = NULL;'
+            ]);
+
+            // Without a known version, the existing row is replaced by any incoming one
+            const upsertResult = await dbHandler.upsertData(tableName, [{ patient_id: '1', age: 43, birth_date: '1982-03-04' }], resourceKey, {
+                versions: [{ versionId: '1', lastUpdated: '2020-01-01T00:00:00.000Z' }]
+            });
+            expect(upsertResult).toEqual({ inserted: 0, deleted: 1, updated: 1, errors: 0, stale: 0 });
+        });
+
+        it('should add the run_id column to tables built before runs were recorded', async () => {
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                await connection.run(`ALTER TABLE ${tableName} DROP COLUMN run_id`);
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+
+            const result = await dbHandler.createTable(tableName, [
+                { name: 'patient_id', type: 'string' },
+                { name: 'age', type: 'integer' },
+                { name: 'birth_date', type: 'date' }
+            ], resourceKey);
+
+            expect(result.migrations).toEqual(['ALTER TABLE schema_evolution ADD COLUMN run_id VARCHAR;']);
+            expect(await readColumns()).toEqual(expect.objectContaining({ run_id: 'VARCHAR' }));
+        });
+    });
+
+    describe('Run Ledger', () => {
+        const runId = 'test-run-1';
+
+        afterAll(async () => {
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                await connection.run(`DELETE FROM _run_files WHERE run_id = '${runId}'`);
+                await connection.run(`DELETE FROM _runs WHERE run_id = '${runId}'`);
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+        });
+
+        it('should stamp every written row with the run that last wrote it', async () => {
+            const tableName = 'patient_identifier';
+            await dbHandler.upsertData(tableName, [
+                { patient_id: '1', identifier_type: 'MRN', identifier_value: 'a' },
+                { patient_id: '2', identifier_type: 'MRN', identifier_value: 'b' }
+            ], 'patient_id', { runId: 'earlier-run' });
+            await dbHandler.upsertData(tableName, [
+                { patient_id: '2', identifier_type: 'MRN', identifier_value: 'c' }
+            ], 'patient_id', { runId });
+
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                const result = await connection.runAndReadAll(`SELECT patient_id, run_id FROM ${tableName} ORDER BY patient_id`);
+                expect(result.getRows()).toEqual([['1', 'earlier-run'], ['2', runId]]);
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+        });
+
+        it('should record a run with its config and the files it processed', async () => {
+            expect(await dbHandler.getRun(runId)).toBeNull();
+
+            await dbHandler.startRun(runId, { batchSize: 1000, bulkExportFolder: './export' });
+            const counts = { parsed: 10, rowsGenerated: 12, inserted: 8, updated: 4, deleted: 4, errors: 0, stale: 1 };
+            await dbHandler.recordRunFile(runId, {
+                file: 'export/Patient/1.ndjson',
+                size: 3 * 1024 ** 3,
+                checksum: 'abc',
+                tableName: 'patient_identifier',
+                viewFile: '__views__/Patient_identifier.json',
+                definitionHash: 'def',
+                counts
+            });
+
+            expect(await dbHandler.getRun(runId)).toEqual(expect.objectContaining({
+                status: 'running',
+                finishedAt: null,
+                config: { batchSize: 1000, bulkExportFolder: './export' }
+            }));
+
+            await dbHandler.finishRun(runId, { status: 'completed' });
+
+            expect(await dbHandler.getRun(runId)).toEqual({
+                runId,
+                startedAt: expect.any(String),
+                finishedAt: expect.any(String),
+                status: 'completed',
+                config: { batchSize: 1000, bulkExportFolder: './export' },
+                error: null,
+                files: [{
+                    file: 'export/Patient/1.ndjson',
+                    size: 3 * 1024 ** 3,
+                    checksum: 'abc',
+                    tableName: 'patient_identifier',
+                    viewFile: '__views__/Patient_identifier.json',
+                    definitionHash: 'def',
+                    counts
+                }]
+            });
+        });
+    });
+
+    describe('File State', () => {
+        const file = 'export/Patient/file_state_test.ndjson';
+
+        afterAll(async () => {
+            await dbHandler.clearFileStates('patient_identifier');
+            await dbHandler.clearFileStates('patient_name');
+        });
+
+        it('should record and replace the state of a file per table', async () => {
+            expect(await dbHandler.getFileStates(file)).toEqual(new Map());
+
+            const state = { size: 1024, mtime: 1760000000123.75, checksum: 'abc', definitionHash: 'def', runId: 'run-1' };
+            await dbHandler.recordFileState(file, 'patient_identifier', state);
+            await dbHandler.recordFileState(file, 'patient_name', state);
+            await dbHandler.recordFileState(file, 'patient_name', { ...state, size: 2048, checksum: 'ghi' });
+
+            const states = await dbHandler.getFileStates(file);
+            expect(states.get('patient_identifier')).toEqual({ size: 1024, mtime: 1760000000123, checksum: 'abc', definitionHash: 'def', runId: 'run-1' });
+            expect(states.get('patient_name')).toEqual({ size: 2048, mtime: 1760000000123, checksum: 'ghi', definitionHash: 'def', runId: 'run-1' });
+        });
+
+        it('should keep the run that processed a file when only its mtime is refreshed', async () => {
+            await dbHandler.recordFileState(file, 'patient_identifier', { size: 1024, mtime: 1760000000000, checksum: 'abc', definitionHash: 'def', runId: 'run-1' });
+
+            const state = (await dbHandler.getFileStates(file)).get('patient_identifier');
+            await dbHandler.recordFileState(file, 'patient_identifier', { ...state, mtime: 1760000005000 });
+
+            expect((await dbHandler.getFileStates(file)).get('patient_identifier')).toEqual({
+                size: 1024, mtime: 1760000005000, checksum: 'abc', definitionHash: 'def', runId: 'run-1'
+            });
+        });
+
+        it('should forget the files of a table', async () => {
+            const state = { size: 1024, mtime: 1760000000123, checksum: 'abc', definitionHash: 'def' };
+            await dbHandler.recordFileState(file, 'patient_identifier', state);
+            await dbHandler.recordFileState(file, 'patient_name', state);
+
+            await dbHandler.clearFileStates('patient_name');
+
+            expect([...(await dbHandler.getFileStates(file)).keys()]).toEqual(['patient_identifier']);
+        });
+    });
+
+    describe('View Catalog', () => {
+        const tableName = 'catalog_test';
+
+        afterAll(async () => {
+            let connection;
+            try {
+                connection = await dbHandler.getConnection();
+                await connection.run(`DELETE FROM _view_catalog WHERE table_name = '${tableName}'`);
+            } finally {
+                if (connection) {
+                    await dbHandler.releaseConnection(connection);
+                }
+            }
+        });
+
+        it('should hash ViewDefinitions by content', () => {
+            const view = { name: 'patient_demographics', resource: 'Patient', select: [{ column: [{ path: 'id', name: 'id' }] }] };
+            const reordered = { select: [{ column: [{ name: 'id', path: 'id' }] }], resource: 'Patient', name: 'patient_demographics' };
+            const changed = { ...view, select: [{ column: [{ path: 'id', name: 'patient_id' }] }] };
+
+            expect(hashViewDefinition(reordered)).toBe(hashViewDefinition(view));
+            expect(hashViewDefinition(changed)).not.toBe(hashViewDefinition(view));
+        });
+
+        it('should record and replace the build of a table', async () => {
+            expect(await dbHandler.getViewCatalogEntry(tableName)).toBeNull();
+
+            const metadata = {
+                name: 'catalog_test',
+                url: 'http://example.org/ViewDefinition/catalog_test',
+                title: 'Catalog test',
+                description: undefined,
+                fhirVersion: ['4.0.1', '4.3.0']
+            };
+            await dbHandler.recordViewBuild(tableName, { file: '__views__/catalog_test.json', metadata, definitionHash: 'abc' });
+            await dbHandler.recordViewBuild(tableName, { file: '__views__/catalog_test.json', metadata, definitionHash: 'def' });
+
+            const entry = await dbHandler.getViewCatalogEntry(tableName);
+            expect(entry).toEqual({
+                tableName,
+                file: '__views__/catalog_test.json',
+                name: 'catalog_test',
+                url: 'http://example.org/ViewDefinition/catalog_test',
+                title: 'Catalog test',
+                description: null,
+                fhirVersion: '4.0.1, 4.3.0',
+                definitionHash: 'def',
+                lastBuilt: expect.any(String)
+            });
+        });
+    });
 });
\ No newline at end of file
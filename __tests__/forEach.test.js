@@ -132,4 +132,245 @@ describe('NdjsonProcessor - Simple forEach Scenario', () => {
             }
         ]);
     });
+
+    it('should emit a null-padded row for forEachOrNull when patient has no address', async () => {
+        // Create test data with one patient without addresses and one with an address
+        const testData = [
+            JSON.stringify({
+                resourceType: 'Patient',
+                id: '1',
+                active: true
+            }),
+            JSON.stringify({
+                resourceType: 'Patient',
+                id: '2',
+                active: false,
+                address: [
+                    {
+                        line: ['123 Main St'],
+                        city: 'Springfield'
+                    }
+                ]
+            })
+        ].join('\n');
+        fs.writeFileSync(testDataPath, testData);
+
+        const viewDefinition = {
+            resource: 'Patient',
+            select: [
+                {
+                    column: [
+                        { path: 'getResourceKey()', name: 'patient_id' },
+                        { path: 'active', name: 'active' }
+                    ]
+                },
+                {
+                    forEachOrNull: 'address',
+                    column: [
+                        { path: 'city', name: 'city' }
+                    ]
+                }
+            ]
+        };
+
+        const results = await processNdjson(testDataPath, {
+            columns: viewDefinition.select[0].column,
+            resource: viewDefinition.resource,
+            select: viewDefinition.select
+        });
+
+        expect(results).toEqual([
+            {
+                patient_id: '1',
+                active: true,
+                city: null
+            },
+            {
+                patient_id: '2',
+                active: false,
+                city: 'Springfield'
+            }
+        ]);
+    });
+
+    it('should evaluate a forEach nested inside a forEach against its parent element', async () => {
+        // Create test data with an explanation of benefit having items with adjudications
+        const testData = JSON.stringify({
+            resourceType: 'ExplanationOfBenefit',
+            id: 'eob1',
+            item: [
+                {
+                    sequence: 1,
+                    adjudication: [
+                        { category: { coding: [{ code: 'submitted' }] }, amount: { value: 100 } },
+                        { category: { coding: [{ code: 'benefit' }] }, amount: { value: 80 } }
+                    ]
+                },
+                {
+                    sequence: 2,
+                    adjudication: [
+                        { category: { coding: [{ code: 'submitted' }] }, amount: { value: 50 } }
+                    ]
+                }
+            ]
+        });
+        fs.writeFileSync(testDataPath, testData);
+
+        const viewDefinition = {
+            resource: 'ExplanationOfBenefit',
+            select: [
+                {
+                    column: [
+                        { path: 'getResourceKey()', name: 'explanationofbenefit_id' }
+                    ]
+                },
+                {
+                    forEach: 'item',
+                    column: [
+                        { path: 'sequence', name: 'item_sequence' }
+                    ],
+                    select: [
+                        {
+                            forEach: 'adjudication',
+                            column: [
+                                { path: 'category.coding[0].code', name: 'category_code' },
+                                { path: 'amount.value', name: 'amount_value' }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        };
+
+        const results = await processNdjson(testDataPath, {
+            resource: viewDefinition.resource,
+            select: viewDefinition.select
+        });
+
+        expect(results).toEqual([
+            { explanationofbenefit_id: 'eob1', item_sequence: 1, category_code: 'submitted', amount_value: 100 },
+            { explanationofbenefit_id: 'eob1', item_sequence: 1, category_code: 'benefit', amount_value: 80 },
+            { explanationofbenefit_id: 'eob1', item_sequence: 2, category_code: 'submitted', amount_value: 50 }
+        ]);
+    });
+
+    it('should cross join sibling forEach selects', async () => {
+        // Create test data with a patient having two names and two telecoms
+        const testData = JSON.stringify({
+            resourceType: 'Patient',
+            id: '1',
+            name: [{ family: 'Smith' }, { family: 'Jones' }],
+            telecom: [{ value: '555-1234' }, { value: 'smith@example.org' }]
+        });
+        fs.writeFileSync(testDataPath, testData);
+
+        const viewDefinition = {
+            resource: 'Patient',
+            select: [
+                {
+                    column: [
+                        { path: 'getResourceKey()', name: 'patient_id' }
+                    ]
+                },
+                {
+                    forEach: 'name',
+                    column: [
+                        { path: 'family', name: 'family' }
+                    ]
+                },
+                {
+                    forEach: 'telecom',
+                    column: [
+                        { path: 'value', name: 'telecom_value' }
+                    ]
+                }
+            ]
+        };
+
+        const results = await processNdjson(testDataPath, {
+            resource: viewDefinition.resource,
+            select: viewDefinition.select
+        });
+
+        expect(results).toEqual([
+            { patient_id: '1', family: 'Smith', telecom_value: '555-1234' },
+            { patient_id: '1', family: 'Smith', telecom_value: 'smith@example.org' },
+            { patient_id: '1', family: 'Jones', telecom_value: '555-1234' },
+            { patient_id: '1', family: 'Jones', telecom_value: 'smith@example.org' }
+        ]);
+    });
+
+    it('should keep rows where every column is null', async () => {
+        // Create test data with an address that has none of the selected fields
+        const testData = JSON.stringify({
+            resourceType: 'Patient',
+            id: '1',
+            address: [
+                { city: 'Springfield' },
+                { country: 'US' }
+            ]
+        });
+        fs.writeFileSync(testDataPath, testData);
+
+        const viewDefinition = {
+            resource: 'Patient',
+            select: [
+                {
+                    forEach: 'address',
+                    column: [
+                        { path: 'city', name: 'city' }
+                    ]
+                }
+            ]
+        };
+
+        const results = await processNdjson(testDataPath, {
+            resource: viewDefinition.resource,
+            select: viewDefinition.select
+        });
+
+        expect(results).toEqual([
+            { city: 'Springfield' },
+            { city: null }
+        ]);
+    });
+
+    it('should resolve the root resource inside a forEach', async () => {
+        // Create test data with an encounter referencing its subject
+        const testData = JSON.stringify({
+            resourceType: 'Encounter',
+            id: 'enc1',
+            subject: { reference: 'Patient/1' },
+            participant: [
+                { individual: { reference: 'Practitioner/p1' } },
+                { individual: { reference: 'Practitioner/p2' } }
+            ]
+        });
+        fs.writeFileSync(testDataPath, testData);
+
+        const viewDefinition = {
+            resource: 'Encounter',
+            select: [
+                {
+                    forEach: 'participant',
+                    column: [
+                        { path: 'getResourceKey()', name: 'encounter_id' },
+                        { path: '%resource.subject.getReferenceKey()', name: 'patient_id' },
+                        { path: '%rootResource.id', name: 'root_id' },
+                        { path: 'individual.getReferenceKey()', name: 'practitioner_id' }
+                    ]
+                }
+            ]
+        };
+
+        const results = await processNdjson(testDataPath, {
+            resource: viewDefinition.resource,
+            select: viewDefinition.select
+        });
+
+        expect(results).toEqual([
+            { encounter_id: 'enc1', patient_id: '1', root_id: 'enc1', practitioner_id: 'p1' },
+            { encounter_id: 'enc1', patient_id: '1', root_id: 'enc1', practitioner_id: 'p2' }
+        ]);
+    });
 });
\ No newline at end of file
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { ingestBulkExport } from '../src/ingest.js';
+import config from '../src/config.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Ingest', () => {
+    const fixturesDir = path.join(__dirname, 'fixtures', 'ingest');
+    const exportDir = path.join(fixturesDir, 'export');
+    const viewsDir = path.join(fixturesDir, 'views');
+    const patientFile = path.join(exportDir, 'Patient', 'b.ndjson');
+    const deletionFile = path.join(exportDir, 'deleted', 'del.ndjson');
+    const defaultConfig = { duckdbFolder: config.duckdbFolder, asyncProcessing: config.asyncProcessing };
+
+    let dbHandler;
+    let runCount = 0;
+
+    const patient = (id, address) => JSON.stringify({
+        resourceType: 'Patient',
+        id,
+        meta: { versionId: '1', lastUpdated: '2024-01-01T00:00:00Z' },
+        gender: 'female',
+        ...(address ? { address: [{ city: address }] } : {})
+    });
+
+    const ingest = async () => {
+        const runId = `ingest-test-${++runCount}`;
+        await dbHandler.startRun(runId, {});
+        await ingestBulkExport(exportDir, viewsDir, dbHandler, runId);
+        await dbHandler.finishRun(runId, { status: 'completed' });
+        return dbHandler.getRun(runId);
+    };
+
+    const processedFiles = run => run.files.map(({ file, tableName }) => `${path.basename(file)} ${tableName}`).sort();
+    const fileCounts = (run, tableName) => run.files.find(file => file.tableName === tableName).counts;
+
+    const query = async (sql) => {
+        let connection;
+        try {
+            connection = await dbHandler.getConnection();
+            return (await connection.runAndReadAll(sql)).getRows();
+        } finally {
+            if (connection) {
+                await dbHandler.releaseConnection(connection);
+            }
+        }
+    };
+
+    beforeAll(async () => {
+        fs.mkdirSync(path.dirname(patientFile), { recursive: true });
+        fs.mkdirSync(viewsDir, { recursive: true });
+        fs.writeFileSync(path.join(viewsDir, 'Patient_Ingest_ViewDefinition.json'), JSON.stringify({
+            resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+            name: 'ingest_patient',
+            status: 'active',
+            resource: 'Patient',
+            select: [{ column: [{ path: 'getResourceKey()', name: 'patient_id' }, { path: 'gender', name: 'gender' }] }]
+        }));
+        fs.writeFileSync(path.join(viewsDir, 'Patient_IngestAddress_ViewDefinition.json'), JSON.stringify({
+            resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+            name: 'ingest_patient_address',
+            status: 'active',
+            resource: 'Patient',
+            select: [
+                { column: [{ path: 'getResourceKey()', name: 'patient_id' }] },
+                { forEach: 'address', column: [{ path: 'city', name: 'city' }] }
+            ]
+        }));
+        fs.writeFileSync(patientFile, [patient('p1', 'OLD'), patient('p2')].join('\n'));
+
+        // A database of its own, as test files run in parallel and DuckDB locks its file
+        config.duckdbFolder = path.join(fixturesDir, 'db');
+        config.asyncProcessing = false;
+        dbHandler = await import('../src/duckdbHandler.js').then(module => module.default());
+    });
+
+    afterAll(() => {
+        Object.assign(config, defaultConfig);
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    });
+
+    it('should process every file on the first run', async () => {
+        const run = await ingest();
+
+        expect(processedFiles(run)).toEqual(['b.ndjson ingest_patient', 'b.ndjson ingest_patient_address']);
+        expect(await query('SELECT patient_id FROM ingest_patient ORDER BY patient_id')).toEqual([['p1'], ['p2']]);
+        expect(await query('SELECT patient_id, city FROM ingest_patient_address')).toEqual([['p1', 'OLD']]);
+    });
+
+    it('should skip unchanged and touched files, keeping the run that processed them', async () => {
+        expect(processedFiles(await ingest())).toEqual([]);
+
+        const touched = new Date(Date.now() + 60000);
+        fs.utimesSync(patientFile, touched, touched);
+        expect(processedFiles(await ingest())).toEqual([]);
+
+        const state = (await dbHandler.getFileStates(patientFile)).get('ingest_patient');
+        expect(state.mtime).toBe(Math.floor(fs.statSync(patientFile).mtimeMs));
+        expect(state.runId).toBe('ingest-test-1');
+    });
+
+    it('should reprocess a changed file', async () => {
+        fs.appendFileSync(patientFile, `\n${patient('p3')}`);
+
+        const run = await ingest();
+
+        expect(processedFiles(run)).toEqual(['b.ndjson ingest_patient', 'b.ndjson ingest_patient_address']);
+        expect(fileCounts(run, 'ingest_patient')).toMatchObject({ parsed: 3, inserted: 1, updated: 2, stale: 0 });
+        expect(await query('SELECT patient_id FROM ingest_patient ORDER BY patient_id')).toEqual([['p1'], ['p2'], ['p3']]);
+    });
+
+    it('should apply deletions once and keep deleted resources out of reprocessed files', async () => {
+        fs.mkdirSync(path.dirname(deletionFile), { recursive: true });
+        fs.writeFileSync(deletionFile, JSON.stringify({
+            resourceType: 'Bundle',
+            type: 'transaction',
+            entry: [{ request: { method: 'DELETE', url: 'Patient/p1' } }]
+        }));
+
+        const deletionRun = await ingest();
+        expect(processedFiles(deletionRun)).toEqual(['del.ndjson ingest_patient', 'del.ndjson ingest_patient_address']);
+        expect(deletionRun.files.map(({ counts }) => counts.deleted)).toEqual([1, 1]);
+
+        // The changed file still holds the deleted version of p1, the deletion file is unchanged
+        fs.appendFileSync(patientFile, `\n${patient('p4')}`);
+        const run = await ingest();
+
+        expect(processedFiles(run)).toEqual(['b.ndjson ingest_patient', 'b.ndjson ingest_patient_address']);
+        expect(run.files.map(({ counts }) => counts.stale)).toEqual([1, 1]);
+        expect(await query('SELECT patient_id FROM ingest_patient ORDER BY patient_id')).toEqual([['p2'], ['p3'], ['p4']]);
+        expect(await query('SELECT patient_id, city FROM ingest_patient_address')).toEqual([]);
+    });
+});
\ No newline at end of file
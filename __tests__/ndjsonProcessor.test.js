@@ -1,5 +1,8 @@
 import { jest, describe, it, expect, beforeAll, afterAll } from '@jest/globals';
-import { processNdjson } from '../src/ndjsonProcessor.js';
+import { processNdjson, processNdjsonViews, readDeletedResources, createEvaluationContext, getPathTimings } from '../src/ndjsonProcessor.js';
+import { createWorkerPool } from '../src/workerPool.js';
+import fhirpath from 'fhirpath';
+import config from '../src/config.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -8,11 +11,6 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Mock p-limit
-jest.mock('p-limit', () => {
-  return () => (fn) => fn();
-});
-
 describe('NdjsonProcessor', () => {
   const testDataPath = path.join(__dirname, 'fixtures', 'test.ndjson');
   const emptyDataPath = path.join(__dirname, 'fixtures', 'empty.ndjson');
@@ -20,6 +18,11 @@ describe('NdjsonProcessor', () => {
   const largeDataPath = path.join(__dirname, 'fixtures', 'large.ndjson');
   const referenceDataPath = path.join(__dirname, 'fixtures', 'reference.ndjson');
   const extensionDataPath = path.join(__dirname, 'fixtures', 'extension.ndjson');
+  const constantDataPath = path.join(__dirname, 'fixtures', 'constant.ndjson');
+  const referenceFormsDataPath = path.join(__dirname, 'fixtures', 'reference_forms.ndjson');
+  const contractDataPath = path.join(__dirname, 'fixtures', 'contract.ndjson');
+  const r5DataPath = path.join(__dirname, 'fixtures', 'r5.ndjson');
+  const deletedDataPath = path.join(__dirname, 'fixtures', 'deleted.ndjson');
 
   beforeAll(() => {
     // Create test NDJSON files
@@ -118,6 +121,72 @@ describe('NdjsonProcessor', () => {
     fs.writeFileSync(largeDataPath, largeData);
     fs.writeFileSync(referenceDataPath, referenceData);
     fs.writeFileSync(extensionDataPath, extensionData);
+    fs.writeFileSync(referenceFormsDataPath, [
+      JSON.stringify({ resourceType: 'Observation', id: '1', subject: { reference: 'https://server/fhir/Patient/123' } }),
+      JSON.stringify({ resourceType: 'Observation', id: '2', subject: { reference: 'Patient/123/_history/2' } }),
+      JSON.stringify({ resourceType: 'Observation', id: '3', subject: { reference: 'urn:uuid:7b3c2a9e-1f0d-4c5e-9a8b-6d2f1e0c3b4a' } }),
+      JSON.stringify({ resourceType: 'Observation', id: '4', subject: { reference: 'Group/123' } }),
+      JSON.stringify({ resourceType: 'Observation', id: '5', subject: { reference: 'PatientGroup/123' } }),
+      JSON.stringify({
+        resourceType: 'Observation',
+        id: '6',
+        contained: [{ resourceType: 'Patient', id: 'p1' }],
+        subject: { reference: '#p1' }
+      }),
+      JSON.stringify({
+        resourceType: 'Observation',
+        id: '7',
+        performer: [{ reference: 'Practitioner/1' }, { reference: 'Patient/2' }, { reference: 'Practitioner/3' }]
+      })
+    ].join('\n'));
+    fs.writeFileSync(contractDataPath, [
+      JSON.stringify({
+        resourceType: 'Patient',
+        id: '1',
+        name: [{ family: 'Smith' }, { family: 'Jones' }],
+        multipleBirthInteger: 2,
+        deceasedDateTime: '2020-01-01T10:00:00-05:00',
+        extension: [{ url: 'http://example.org/rank', valueString: '42' }]
+      }),
+      JSON.stringify({
+        resourceType: 'Patient',
+        id: '2',
+        name: [{ family: 'Brown' }],
+        deceasedDateTime: '2021-06'
+      })
+    ].join('\n'));
+    fs.writeFileSync(r5DataPath, JSON.stringify({
+      resourceType: 'Observation',
+      id: '1',
+      status: 'final',
+      valueAttachment: { url: 'http://example.org/scan.png' }
+    }));
+    fs.writeFileSync(constantDataPath, [
+      JSON.stringify({ resourceType: 'Patient', id: '1', gender: 'male', birthDate: '1970-07-09' }),
+      JSON.stringify({ resourceType: 'Patient', id: '2', gender: 'female', birthDate: '1995-03-14' })
+    ].join('\n'));
+    // Deletion bundles of a _since export
+    fs.writeFileSync(deletedDataPath, [
+      JSON.stringify({
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [
+          { request: { method: 'DELETE', url: 'Patient/1' } },
+          { request: { method: 'DELETE', url: 'Observation/7' } },
+          { request: { method: 'PUT', url: 'Patient/2' } },
+          { request: { method: 'DELETE', url: 'Patient?identifier=123' } }
+        ]
+      }),
+      'not json',
+      JSON.stringify({
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [
+          { request: { method: 'DELETE', url: 'https://example.org/fhir/Patient/3/_history/2' } },
+          { request: { method: 'DELETE', url: 'Patient/1' } }
+        ]
+      })
+    ].join('\n'));
   });
 
   afterAll(() => {
@@ -128,6 +197,11 @@ describe('NdjsonProcessor', () => {
     fs.unlinkSync(largeDataPath);
     fs.unlinkSync(referenceDataPath);
     fs.unlinkSync(extensionDataPath);
+    fs.unlinkSync(constantDataPath);
+    fs.unlinkSync(referenceFormsDataPath);
+    fs.unlinkSync(contractDataPath);
+    fs.unlinkSync(r5DataPath);
+    fs.unlinkSync(deletedDataPath);
   });
 
   it('should process NDJSON file with basic columns', async () => {
@@ -187,18 +261,46 @@ describe('NdjsonProcessor', () => {
   });
 
   it('should respect concurrency limit', async () => {
-    const options = {
+    const views = [{
       columns: [
         { path: 'id', name: 'patient_id' },
         { path: 'gender', name: 'gender' }
       ],
       resource: 'Patient',
-      asyncProcessing: true,
-      concurrencyLimit: 2
+      name: 'patient_gender',
+      summary: {},
+      context: createEvaluationContext([], { name: 'patient_gender' })
+    }];
+    const pool = createWorkerPool(views, 2);
+
+    // Count the chunks handed to the workers and not evaluated yet
+    let pending = 0;
+    let maxPending = 0;
+    const evaluate = pool.evaluate;
+    pool.evaluate = async (...args) => {
+      pending++;
+      maxPending = Math.max(maxPending, pending);
+      try {
+        return await evaluate(...args);
+      } finally {
+        pending--;
+      }
     };
 
-    const results = await processNdjson(testDataPath, options);
-    expect(results).toHaveLength(3);
+    const defaultBatchSize = config.batchSize;
+    config.batchSize = 10;
+    let results;
+    try {
+      [results] = await processNdjsonViews(largeDataPath, views, { pool });
+    } finally {
+      config.batchSize = defaultBatchSize;
+      await pool.close();
+    }
+
+    expect(results).toHaveLength(1000);
+    expect(maxPending).toBeGreaterThan(1);
+    // Two chunks per worker wait for their results, plus the one just submitted
+    expect(maxPending).toBeLessThanOrEqual(pool.size * 2 + 1);
   });
 
   it('should extract resource keys using getResourceKey', async () => {
@@ -281,4 +383,265 @@ describe('NdjsonProcessor', () => {
       birth_city: 'Memphis'
     });
   });
+
+  it('should resolve ViewDefinition constants as typed %variables', async () => {
+    const options = {
+      columns: [
+        { path: 'getResourceKey()', name: 'patient_id' },
+        { path: 'birthDate < %cutoff', name: 'born_before_cutoff' }
+      ],
+      whereClauses: [
+        { path: 'gender = %genderCode' }
+      ],
+      constants: [
+        { name: 'genderCode', value: 'female', type: 'code' },
+        { name: 'cutoff', value: '2000-01-01', type: 'date' }
+      ],
+      resource: 'Patient'
+    };
+
+    const results = await processNdjson(constantDataPath, options);
+    expect(results).toEqual([
+      { patient_id: '2', born_before_cutoff: true }
+    ]);
+  });
+
+  it('should extract reference keys from absolute, versioned, urn, contained and multiple references', async () => {
+    const options = {
+      columns: [
+        { path: 'getResourceKey()', name: 'observation_id' },
+        { path: "subject.getReferenceKey('Patient')", name: 'patient_id' },
+        { path: "performer.getReferenceKey('Practitioner')", name: 'practitioner_ids', collection: true }
+      ],
+      resource: 'Observation'
+    };
+
+    const results = await processNdjson(referenceFormsDataPath, options);
+    expect(results).toEqual([
+      { observation_id: '1', patient_id: '123', practitioner_ids: [] },
+      { observation_id: '2', patient_id: '123', practitioner_ids: [] },
+      { observation_id: '3', patient_id: '7b3c2a9e-1f0d-4c5e-9a8b-6d2f1e0c3b4a', practitioner_ids: [] },
+      { observation_id: '4', patient_id: null, practitioner_ids: [] },
+      { observation_id: '5', patient_id: null, practitioner_ids: [] },
+      { observation_id: '6', patient_id: 'p1', practitioner_ids: [] },
+      { observation_id: '7', patient_id: null, practitioner_ids: ['1', '3'] }
+    ]);
+  });
+
+  it('should coerce column values to their declared type and count cardinality warnings', async () => {
+    const summary = {};
+    const options = {
+      columns: [
+        { path: 'getResourceKey()', name: 'patient_id', type: 'string' },
+        { path: 'name.family', name: 'family', type: 'string' },
+        { path: "extension.where(url = 'http://example.org/rank').valueString", name: 'rank', type: 'integer' },
+        { path: 'deceasedDateTime', name: 'deceased', type: 'dateTime' }
+      ],
+      resource: 'Patient',
+      name: 'Patient_Contract',
+      strict: false,
+      summary
+    };
+
+    const results = await processNdjson(contractDataPath, options);
+    expect(results).toEqual([
+      { patient_id: '1', family: 'Smith', rank: 42, deceased: '2020-01-01T15:00:00.000Z' },
+      { patient_id: '2', family: 'Brown', rank: null, deceased: '2021-06-01T00:00:00.000Z' }
+    ]);
+    expect(summary.warnings).toBe(1);
+  });
+
+  it('should fail rows with multi-valued non-collection columns in strict mode', async () => {
+    const summary = {};
+    const options = {
+      columns: [
+        { path: 'getResourceKey()', name: 'patient_id', type: 'string' },
+        { path: 'name.family', name: 'family', type: 'string' }
+      ],
+      resource: 'Patient',
+      name: 'Patient_Contract',
+      strict: true,
+      summary
+    };
+
+    const results = await processNdjson(contractDataPath, options);
+    expect(results).toEqual([
+      { patient_id: '2', family: 'Brown' }
+    ]);
+    expect(summary.invalidRecords).toBe(1);
+  });
+
+  it('should resolve choice types with the model of the view fhirVersion', async () => {
+    const options = {
+      columns: [
+        { path: 'getResourceKey()', name: 'observation_id' },
+        { path: 'value.ofType(Attachment).url', name: 'attachment_url' }
+      ],
+      resource: 'Observation'
+    };
+
+    // Attachment is only a valid Observation.value[x] type from R5 on
+    const r4Results = await processNdjson(r5DataPath, { ...options, fhirVersion: ['4.0.1'] });
+    const r5Results = await processNdjson(r5DataPath, { ...options, fhirVersion: ['5.0.0'] });
+
+    expect(r4Results).toEqual([{ observation_id: '1', attachment_url: null }]);
+    expect(r5Results).toEqual([{ observation_id: '1', attachment_url: 'http://example.org/scan.png' }]);
+  });
+
+  it('should reject unsupported FHIR versions', async () => {
+    const options = {
+      columns: [
+        { path: 'getResourceKey()', name: 'observation_id' }
+      ],
+      resource: 'Observation',
+      fhirVersion: ['6.0.0']
+    };
+
+    await expect(processNdjson(r5DataPath, options)).rejects.toThrow('Unsupported FHIR version: 6.0.0');
+  });
+
+  it('should compile each path once per view and reuse it across files', async () => {
+    const compileSpy = jest.spyOn(fhirpath, 'compile');
+    const context = createEvaluationContext([], { name: 'patient_gender' });
+    const options = {
+      columns: [
+        { path: 'getResourceKey()', name: 'patient_id' },
+        { path: 'gender', name: 'gender' }
+      ],
+      whereClauses: [{ path: 'id.exists()' }],
+      resource: 'Patient',
+      context
+    };
+
+    try {
+      const first = await processNdjson(testDataPath, options);
+      const second = await processNdjson(constantDataPath, options);
+
+      expect(first).toHaveLength(3);
+      expect(second).toHaveLength(2);
+      expect(compileSpy).toHaveBeenCalledTimes(3);
+    } finally {
+      compileSpy.mockRestore();
+    }
+
+    const timings = getPathTimings(context);
+    expect(timings.map(timing => timing.path).sort())
+      .toEqual(['gender', 'getResourceKey()', 'id.exists()']);
+    timings.forEach(timing => {
+      expect(timing.evaluations).toBe(5);
+      expect(timing.totalTime).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  it('should evaluate several views in a single pass with separate rows and summaries', async () => {
+    const readSpy = jest.spyOn(fs, 'createReadStream');
+    const genderView = {
+      columns: [
+        { path: 'getResourceKey()', name: 'patient_id' },
+        { path: 'gender', name: 'gender' }
+      ],
+      resource: 'Patient',
+      name: 'patient_gender',
+      summary: {}
+    };
+    const activeView = {
+      columns: [
+        { path: 'getResourceKey()', name: 'patient_id' },
+        { path: 'active', name: 'active' }
+      ],
+      whereClauses: [{ path: 'active = true' }],
+      resource: 'Patient',
+      name: 'patient_active',
+      summary: {}
+    };
+
+    let results;
+    try {
+      results = await processNdjsonViews(invalidDataPath, [genderView, activeView]);
+      expect(readSpy).toHaveBeenCalledTimes(1);
+    } finally {
+      readSpy.mockRestore();
+    }
+
+    expect(results[0]).toEqual([
+      { patient_id: '1', gender: 'male' },
+      { patient_id: '2', gender: 'female' },
+      { patient_id: '3', gender: 'other' }
+    ]);
+    expect(results[1]).toEqual([
+      { patient_id: '1', active: true },
+      { patient_id: '3', active: true }
+    ]);
+    expect(genderView.summary).toEqual({ totalRecords: 4, parsedRecords: 3, invalidRecords: 1, rowsGenerated: 3, warnings: 0 });
+    expect(activeView.summary).toEqual({ totalRecords: 4, parsedRecords: 2, invalidRecords: 1, rowsGenerated: 2, warnings: 0 });
+  });
+
+  it('should hand rows to onRows in chunks of BATCH_SIZE instead of collecting them', async () => {
+    const originalBatchSize = config.batchSize;
+    config.batchSize = 300;
+    const chunkSizes = [];
+    const summary = {};
+
+    try {
+      const results = await processNdjson(largeDataPath, {
+        columns: [
+          { path: 'getResourceKey()', name: 'patient_id' }
+        ],
+        resource: 'Patient',
+        summary,
+        onRows: async (rows) => {
+          chunkSizes.push(rows.length);
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      });
+
+      expect(results).toEqual([]);
+    } finally {
+      config.batchSize = originalBatchSize;
+    }
+
+    expect(chunkSizes).toEqual([300, 300, 300, 100]);
+    expect(summary.rowsGenerated).toBe(1000);
+  });
+
+  it('should hand onRows the version of the resource behind each row', async () => {
+    const versionedDataPath = path.join(__dirname, 'fixtures', 'versioned.ndjson');
+    fs.writeFileSync(versionedDataPath, [
+      JSON.stringify({ resourceType: 'Patient', id: '1', meta: { versionId: '3', lastUpdated: '2024-05-01T10:00:00+02:00' }, name: [{ family: 'A' }, { family: 'B' }] }),
+      JSON.stringify({ resourceType: 'Patient', id: '2', meta: { lastUpdated: 'not a date' }, name: [{ family: 'C' }] }),
+      JSON.stringify({ resourceType: 'Patient', id: '3', name: [{ family: 'D' }] })
+    ].join('\n'));
+    const chunks = [];
+
+    try {
+      await processNdjson(versionedDataPath, {
+        select: [{ forEach: 'name', column: [{ path: 'family', name: 'family' }] }],
+        resource: 'Patient',
+        onRows: async (rows, versions) => {
+          chunks.push({ rows, versions });
+        }
+      });
+    } finally {
+      fs.unlinkSync(versionedDataPath);
+    }
+
+    expect(chunks).toEqual([{
+      rows: [{ family: 'A' }, { family: 'B' }, { family: 'C' }, { family: 'D' }],
+      versions: [
+        { versionId: '3', lastUpdated: '2024-05-01T08:00:00.000Z' },
+        { versionId: '3', lastUpdated: '2024-05-01T08:00:00.000Z' },
+        { versionId: null, lastUpdated: null },
+        { versionId: null, lastUpdated: null }
+      ]
+    }]);
+  });
+
+  it('should read the deleted resource ids per type from deletion bundles', async () => {
+    const deletions = await readDeletedResources(deletedDataPath);
+
+    expect(deletions).toEqual(new Map([
+      ['Patient', ['1', '3']],
+      ['Observation', ['7']]
+    ]));
+  });
 });
\ No newline at end of file
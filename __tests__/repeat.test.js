@@ -0,0 +1,148 @@
+import { describe, it, expect, afterAll, afterEach } from '@jest/globals';
+import { processNdjson } from '../src/ndjsonProcessor.js';
+import { parseViewDefinition } from '../src/viewParser.js';
+import config from '../src/config.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('NdjsonProcessor - repeat Scenario', () => {
+    const testDataPath = path.join(__dirname, 'fixtures', 'questionnaire_repeat.ndjson');
+    const defaultMaxRepeatDepth = config.maxRepeatDepth;
+
+    afterEach(() => {
+        config.maxRepeatDepth = defaultMaxRepeatDepth;
+    });
+
+    afterAll(() => {
+        fs.unlinkSync(testDataPath);
+    });
+
+    it('should flatten nested questionnaire items', async () => {
+        // Create test data with items nested three levels deep
+        const testData = JSON.stringify({
+            resourceType: 'Questionnaire',
+            id: 'q1',
+            item: [
+                {
+                    linkId: '1',
+                    item: [
+                        {
+                            linkId: '1.1',
+                            item: [
+                                { linkId: '1.1.1' }
+                            ]
+                        }
+                    ]
+                },
+                { linkId: '2' }
+            ]
+        });
+        fs.writeFileSync(testDataPath, testData);
+
+        const viewDefinition = {
+            resource: 'Questionnaire',
+            select: [
+                {
+                    column: [
+                        { path: 'getResourceKey()', name: 'questionnaire_id' }
+                    ]
+                },
+                {
+                    repeat: ['item'],
+                    column: [
+                        { path: 'linkId', name: 'link_id' }
+                    ]
+                }
+            ]
+        };
+
+        const results = await processNdjson(testDataPath, {
+            resource: viewDefinition.resource,
+            select: viewDefinition.select
+        });
+
+        expect(results).toEqual([
+            { questionnaire_id: 'q1', link_id: '1' },
+            { questionnaire_id: 'q1', link_id: '1.1' },
+            { questionnaire_id: 'q1', link_id: '1.1.1' },
+            { questionnaire_id: 'q1', link_id: '2' }
+        ]);
+    });
+
+    it('should follow every repeat path through questionnaire response answers', async () => {
+        // Create test data where an answer carries its own nested items
+        const testData = JSON.stringify({
+            resourceType: 'QuestionnaireResponse',
+            id: 'qr1',
+            item: [
+                {
+                    linkId: '1',
+                    answer: [
+                        {
+                            valueBoolean: true,
+                            item: [
+                                {
+                                    linkId: '1.1',
+                                    answer: [{ valueString: 'details' }]
+                                }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        });
+        fs.writeFileSync(testDataPath, testData);
+
+        const viewDefinition = {
+            resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+            name: 'QuestionnaireResponse_Item',
+            status: 'draft',
+            resource: 'QuestionnaireResponse',
+            select: [
+                {
+                    repeat: ['item', 'answer.item'],
+                    column: [
+                        { path: 'linkId', name: 'link_id' }
+                    ]
+                }
+            ]
+        };
+
+        const { resource, select } = parseViewDefinition(viewDefinition);
+        const results = await processNdjson(testDataPath, { resource, select });
+
+        expect(results).toEqual([
+            { link_id: '1' },
+            { link_id: '1.1' }
+        ]);
+    });
+
+    it('should skip resources that exceed the repeat depth limit', async () => {
+        // Create test data with items nested deeper than the configured limit
+        const testData = JSON.stringify({
+            resourceType: 'Questionnaire',
+            id: 'q1',
+            item: [{ linkId: '1', item: [{ linkId: '1.1', item: [{ linkId: '1.1.1' }] }] }]
+        });
+        fs.writeFileSync(testDataPath, testData);
+        config.maxRepeatDepth = 2;
+
+        const results = await processNdjson(testDataPath, {
+            resource: 'Questionnaire',
+            select: [
+                {
+                    repeat: ['item'],
+                    column: [
+                        { path: 'linkId', name: 'link_id' }
+                    ]
+                }
+            ]
+        });
+
+        expect(results).toHaveLength(0);
+    });
+});
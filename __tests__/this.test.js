@@ -1,4 +1,4 @@
-import { jest, describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
 import { processNdjson } from '../src/ndjsonProcessor.js';
 import fs from 'fs';
 import path from 'path';
@@ -8,11 +8,6 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Mock p-limit
-jest.mock('p-limit', () => {
-    return () => (fn) => fn();
-});
-
 describe('NdjsonProcessor - forEach with Multiple Categories', () => {
     const testDataPath = path.join(__dirname, 'fixtures', 'allergyintolerance_multiple_categories.ndjson');
 
@@ -0,0 +1,85 @@
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { processNdjson } from '../src/ndjsonProcessor.js';
+import { parseViewDefinition } from '../src/viewParser.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('NdjsonProcessor - unionAll Scenario', () => {
+    const testDataPath = path.join(__dirname, 'fixtures', 'patient_union_all.ndjson');
+
+    afterAll(() => {
+        fs.unlinkSync(testDataPath);
+    });
+
+    it('should emit the union of rows from patient and contact telecoms', async () => {
+        // Create test data with patient telecoms and a contact with its own telecom
+        const testData = [
+            JSON.stringify({
+                resourceType: 'Patient',
+                id: '1',
+                telecom: [
+                    { system: 'phone', value: '555-1234' },
+                    { system: 'email', value: 'patient@example.org' }
+                ],
+                contact: [
+                    {
+                        telecom: [
+                            { system: 'phone', value: '555-9876' }
+                        ]
+                    }
+                ]
+            }),
+            JSON.stringify({
+                resourceType: 'Patient',
+                id: '2'
+            })
+        ].join('\n');
+        fs.writeFileSync(testDataPath, testData);
+
+        const viewDefinition = {
+            resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+            name: 'Patient_ContactPoint',
+            status: 'draft',
+            resource: 'Patient',
+            select: [
+                {
+                    column: [
+                        { path: 'getResourceKey()', name: 'patient_id' }
+                    ]
+                },
+                {
+                    unionAll: [
+                        {
+                            forEach: 'telecom',
+                            column: [
+                                { path: 'system', name: 'telecom_system' },
+                                { path: 'value', name: 'telecom_value' }
+                            ]
+                        },
+                        {
+                            forEach: 'contact.telecom',
+                            column: [
+                                { path: 'system', name: 'telecom_system' },
+                                { path: 'value', name: 'telecom_value' }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        };
+
+        const { columns, resource, select } = parseViewDefinition(viewDefinition);
+        const results = await processNdjson(testDataPath, { columns, resource, select });
+
+        expect(columns.map(col => col.name)).toEqual(['patient_id', 'telecom_system', 'telecom_value']);
+        expect(results).toEqual([
+            { patient_id: '1', telecom_system: 'phone', telecom_value: '555-1234' },
+            { patient_id: '1', telecom_system: 'email', telecom_value: 'patient@example.org' },
+            { patient_id: '1', telecom_system: 'phone', telecom_value: '555-9876' }
+        ]);
+    });
+});
@@ -1,6 +1,12 @@
 import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { parseViewDefinition } from '../src/viewParser.js';
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 describe('ViewParser', () => {
   it('should parse basic view definition', () => {
     const viewDefinition = {
@@ -67,11 +73,89 @@ describe('ViewParser', () => {
     };
 
     const result = parseViewDefinition(viewDefinition);
-    expect(result.columns).toHaveLength(2);
+    expect(result.columns.map(col => col.name)).toEqual(['city', 'state', 'address_line']);
+    expect(result.columns[2].selectPath).toBe('0.0');
     expect(result.nestedSelects).toHaveLength(1);
   });
 
+  it('should collect the columns of union all branches inside nested selects', () => {
+    const viewDefinition = {
+      resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+      name: 'TestView',
+      status: 'active',
+      resource: 'Patient',
+      select: [
+        { column: [{ path: 'getResourceKey()', name: 'patient_id' }] },
+        {
+          forEach: 'contact',
+          select: [
+            {
+              unionAll: [
+                { forEach: 'telecom', column: [{ path: 'value', name: 'contact_value' }] },
+                { forEach: 'address', column: [{ path: 'text', name: 'contact_value' }] }
+              ]
+            }
+          ]
+        }
+      ]
+    };
+
+    const result = parseViewDefinition(viewDefinition);
+    expect(result.columns.map(col => col.name)).toEqual(['patient_id', 'contact_value']);
+  });
+
+  it('should collect the nested columns of the ExplanationOfBenefit item adjudication view', () => {
+    const viewDefinition = JSON.parse(fs.readFileSync(
+      path.join(__dirname, '..', '__views__', 'All', 'ExplanationOfBenefit_Item_Adjudication_ViewDefinition.json'),
+      'utf8'
+    ));
+
+    const result = parseViewDefinition(viewDefinition);
+    expect(result.columns.map(col => col.name)).toEqual([
+      'explanationofbenefit_id',
+      'item_sequence',
+      'item_adjudication_category_coding_system',
+      'item_adjudication_category_coding_code',
+      'item_adjudication_category_coding_display',
+      'item_adjudication_amount_value',
+      'item_adjudication_amount_currency'
+    ]);
+  });
+
   it('should handle union all', () => {
+    const viewDefinition = {
+      resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+      name: 'TestView',
+      status: 'active',
+      resource: 'Patient',
+      select: [
+        {
+          unionAll: [
+            {
+              forEach: 'telecom',
+              column: [
+                { path: 'system', name: 'telecom_system' },
+                { path: 'value', name: 'telecom_value' }
+              ]
+            },
+            {
+              forEach: 'contact.telecom',
+              column: [
+                { path: 'system', name: 'telecom_system' },
+                { path: 'value', name: 'telecom_value' }
+              ]
+            }
+          ]
+        }
+      ]
+    };
+
+    const result = parseViewDefinition(viewDefinition);
+    expect(result.columns).toHaveLength(2);
+    expect(result.columns.map(col => col.name)).toEqual(['telecom_system', 'telecom_value']);
+  });
+
+  it('should throw error for union all branches with different columns', () => {
     const viewDefinition = {
       resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
       name: 'TestView',
@@ -95,8 +179,50 @@ describe('ViewParser', () => {
       ]
     };
 
+    expect(() => parseViewDefinition(viewDefinition))
+      .toThrow('unionAll branches must have the same columns');
+  });
+
+  it('should record repeat paths on nested selects', () => {
+    const viewDefinition = {
+      resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+      name: 'TestView',
+      status: 'active',
+      resource: 'Questionnaire',
+      select: [
+        {
+          repeat: ['item'],
+          column: [
+            { path: 'linkId', name: 'link_id' }
+          ]
+        }
+      ]
+    };
+
     const result = parseViewDefinition(viewDefinition);
-    expect(result.columns).toHaveLength(2);
+    expect(result.columns).toHaveLength(1);
+    expect(result.nestedSelects).toHaveLength(1);
+    expect(result.nestedSelects[0].repeat).toEqual(['item']);
+  });
+
+  it('should throw error for an empty repeat', () => {
+    const viewDefinition = {
+      resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+      name: 'TestView',
+      status: 'active',
+      resource: 'Questionnaire',
+      select: [
+        {
+          repeat: [],
+          column: [
+            { path: 'linkId', name: 'link_id' }
+          ]
+        }
+      ]
+    };
+
+    expect(() => parseViewDefinition(viewDefinition))
+      .toThrow('repeat must be a non-empty array');
   });
 
   it('should handle constants and custom functions', () => {
@@ -125,4 +251,29 @@ describe('ViewParser', () => {
       type: 'string'
     });
   });
+
+  it('should throw error for references to undefined constants', () => {
+    const viewDefinition = {
+      resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+      name: 'TestView',
+      status: 'active',
+      resource: 'Patient',
+      constant: [
+        { name: 'genderCode', valueCode: 'female' }
+      ],
+      where: [
+        { path: "gender = %genderCode and name.family != '%notAConstant'" }
+      ],
+      select: [
+        {
+          column: [
+            { path: 'birthDate < %cutoff', name: 'born_before_cutoff' }
+          ]
+        }
+      ]
+    };
+
+    expect(() => parseViewDefinition(viewDefinition))
+      .toThrow("undefined constant '%cutoff' referenced in path \"birthDate < %cutoff\"");
+  });
 });
\ No newline at end of file
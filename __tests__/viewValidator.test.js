@@ -0,0 +1,147 @@
+import { describe, it, expect } from '@jest/globals';
+import { validateViewDefinition } from '../src/viewValidator.js';
+import { parseViewDefinition } from '../src/viewParser.js';
+
+const baseView = (overrides = {}) => ({
+  resourceType: 'http://hl7.org/fhir/uv/sql-on-fhir/StructureDefinition/ViewDefinition',
+  name: 'TestView',
+  status: 'active',
+  resource: 'Patient',
+  select: [
+    {
+      column: [
+        { path: 'getResourceKey()', name: 'patient_id' },
+        { path: 'gender', name: 'gender' }
+      ]
+    }
+  ],
+  ...overrides
+});
+
+describe('ViewValidator', () => {
+  it('should accept a valid view definition', () => {
+    expect(validateViewDefinition(baseView())).toEqual([]);
+  });
+
+  it('should report unknown keys with their JSON pointer', () => {
+    const errors = validateViewDefinition(baseView({
+      selct: [],
+      select: [{ column: [{ path: 'gender', name: 'gender', typ: 'code' }] }]
+    }));
+
+    expect(errors).toEqual([
+      { pointer: '/selct', message: "Unknown key 'selct'" },
+      { pointer: '/select/0/column/0/typ', message: "Unknown key 'typ'" }
+    ]);
+  });
+
+  it('should report duplicate column names across selects', () => {
+    const errors = validateViewDefinition(baseView({
+      select: [
+        { column: [{ path: 'id', name: 'id' }] },
+        { forEach: 'name', column: [{ path: 'family', name: 'id' }] }
+      ]
+    }));
+
+    expect(errors).toEqual([
+      { pointer: '/select/1/column/0/name', message: "Duplicate column name 'id'" }
+    ]);
+  });
+
+  it('should report FHIRPath syntax errors up front', () => {
+    const errors = validateViewDefinition(baseView({
+      where: [{ path: 'active = ' }],
+      select: [{ forEach: 'name.where(', column: [{ path: 'family', name: 'family' }] }]
+    }));
+
+    expect(errors.map(error => error.pointer)).toEqual(['/where/0/path', '/select/0/forEach']);
+    expect(errors[0].message).toContain('Invalid FHIRPath "active = "');
+  });
+
+  it('should report constants without a value and undefined constant references', () => {
+    const errors = validateViewDefinition(baseView({
+      constant: [{ name: 'code' }],
+      select: [{ column: [{ path: 'gender = %code or gender = %other', name: 'matches' }] }]
+    }));
+
+    expect(errors).toEqual([
+      { pointer: '/constant/0', message: "Constant 'code' must have exactly one value[x]" },
+      {
+        pointer: '/select/0/column/0/path',
+        message: "undefined constant '%other' referenced in path \"gender = %code or gender = %other\""
+      }
+    ]);
+  });
+
+  it('should report unknown column types', () => {
+    const errors = validateViewDefinition(baseView({
+      select: [{ column: [{ path: 'birthDate', name: 'birth_date', type: 'datetime' }] }]
+    }));
+
+    expect(errors).toEqual([
+      { pointer: '/select/0/column/0/type', message: "Unknown column type 'datetime'" }
+    ]);
+  });
+
+  it('should report unionAll branches with different columns', () => {
+    const errors = validateViewDefinition(baseView({
+      select: [{
+        unionAll: [
+          { forEach: 'telecom', column: [{ path: 'value', name: 'contact' }] },
+          { forEach: 'address', column: [{ path: 'city', name: 'city' }] }
+        ]
+      }]
+    }));
+
+    expect(errors).toEqual([{
+      pointer: '/select/0/unionAll/1',
+      message: 'unionAll branches must have the same columns (branch 0: [contact], branch 1: [city])'
+    }]);
+  });
+
+  it('should report resource types unknown to the view FHIR version', () => {
+    expect(validateViewDefinition(baseView({ resource: 'Patien' }))).toEqual([
+      { pointer: '/resource', message: "Unknown resource type 'Patien' for FHIR R4" }
+    ]);
+    // DeviceUsage only exists from R5 on
+    expect(validateViewDefinition(baseView({ resource: 'DeviceUsage', fhirVersion: ['5.0.0'] }))).toEqual([]);
+  });
+
+  it('should report malformed elements with their JSON pointer instead of throwing', () => {
+    const errors = validateViewDefinition(baseView({
+      where: { path: 'active' },
+      select: [
+        { column: { path: 'id', name: 'id' } },
+        {
+          column: [
+            null,
+            { path: 'gender', name: 'gender', tag: 'x' },
+            { path: 'birthDate', name: 'birth_date', tag: [null] }
+          ]
+        }
+      ]
+    }));
+
+    expect(errors).toEqual([
+      { pointer: '/where', message: 'where must be an array' },
+      { pointer: '/select/0/column', message: 'column must be an array' },
+      { pointer: '/select/1/column/0', message: 'column must be a JSON object' },
+      { pointer: '/select/1/column/1/tag', message: 'tag must be an array' },
+      { pointer: '/select/1/column/2/tag/0', message: 'tag must be a JSON object' }
+    ]);
+  });
+
+  it('should make the parser throw with every error attached', () => {
+    const view = baseView({ resource: 'Patien', constant: [{ name: 'code' }] });
+
+    expect(() => parseViewDefinition(view)).toThrow(
+      "Invalid ViewDefinition: Unknown resource type 'Patien' for FHIR R4 (at /resource); " +
+      "Constant 'code' must have exactly one value[x] (at /constant/0)"
+    );
+    try {
+      parseViewDefinition(view);
+    } catch (error) {
+      expect(error.errors).toHaveLength(2);
+    }
+  });
+});
\ No newline at end of file
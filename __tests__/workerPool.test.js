@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { processNdjsonViews, createEvaluationContext, getPathTimings } from '../src/ndjsonProcessor.js';
+import { createWorkerPool } from '../src/workerPool.js';
+import config from '../src/config.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('WorkerPool', () => {
+    const testDataPath = path.join(__dirname, 'fixtures', 'worker_pool.ndjson');
+    const defaultBatchSize = config.batchSize;
+
+    const createViews = () => [
+        {
+            resource: 'Patient',
+            name: 'patient_name',
+            select: [
+                { column: [{ path: 'getResourceKey()', name: 'patient_id' }] },
+                { forEach: 'name', column: [{ path: 'family', name: 'family' }] }
+            ],
+            summary: {}
+        },
+        {
+            resource: 'Patient',
+            name: 'patient_gender',
+            columns: [
+                { path: 'getResourceKey()', name: 'patient_id' },
+                { path: 'gender', name: 'gender' }
+            ],
+            whereClauses: [{ path: "gender = 'female'" }],
+            summary: {}
+        }
+    ].map(view => ({ ...view, context: createEvaluationContext([], { name: view.name }) }));
+
+    beforeAll(() => {
+        const lines = Array.from({ length: 250 }, (_, i) => JSON.stringify({
+            resourceType: 'Patient',
+            id: `${i + 1}`,
+            gender: i % 2 === 0 ? 'male' : 'female',
+            name: [{ family: `Family${i + 1}` }, { family: `Alias${i + 1}` }]
+        }));
+        // An unparsable line in the middle of the file
+        lines.splice(100, 0, 'not json');
+        fs.writeFileSync(testDataPath, lines.join('\n'));
+        // Several chunks per worker
+        config.batchSize = 20;
+    });
+
+    afterAll(() => {
+        config.batchSize = defaultBatchSize;
+        fs.unlinkSync(testDataPath);
+    });
+
+    it('should produce the same rows, in the same order, as main thread evaluation', async () => {
+        const inlineViews = createViews();
+        const inlineResults = await processNdjsonViews(testDataPath, inlineViews);
+
+        const pooledViews = createViews();
+        const pool = createWorkerPool(pooledViews, 3);
+        let pooledResults;
+        try {
+            pooledResults = await processNdjsonViews(testDataPath, pooledViews, { pool });
+        } finally {
+            await pool.close();
+        }
+
+        expect(inlineResults[0]).toHaveLength(500);
+        expect(inlineResults[1]).toHaveLength(125);
+        expect(pooledResults).toEqual(inlineResults);
+        expect(pooledViews.map(view => view.summary)).toEqual(inlineViews.map(view => view.summary));
+        expect(pooledViews[0].summary.invalidRecords).toBe(1);
+
+        // Path timings gathered in the workers are reported on the main thread contexts
+        const evaluations = getPathTimings(pooledViews[1].context).map(timing => timing.evaluations);
+        expect(evaluations.length).toBeGreaterThan(0);
+        expect(evaluations).toContain(250);
+    });
+
+    it('should evaluate only the views a file is processed for', async () => {
+        const [inlineView] = createViews().slice(1);
+        const [inlineRows] = await processNdjsonViews(testDataPath, [inlineView]);
+
+        const pooledViews = createViews();
+        const pool = createWorkerPool(pooledViews, 2);
+        let pooledResults;
+        try {
+            pooledResults = await processNdjsonViews(testDataPath, [pooledViews[1]], { pool });
+            await expect(processNdjsonViews(testDataPath, createViews(), { pool }))
+                .rejects.toThrow('The worker pool was not created for every view of the chunk');
+        } finally {
+            await pool.close();
+        }
+
+        expect(pooledResults).toEqual([inlineRows]);
+        expect(pooledViews[1].summary).toEqual(inlineView.summary);
+        expect(pooledViews[0].summary).toEqual({});
+    });
+
+    it('should report a crashed worker as a failed file', async () => {
+        // The views are compiled again inside the workers, where this version cannot be resolved
+        const views = createViews().map(view => ({ ...view, fhirVersion: '6.0.0' }));
+        const pool = createWorkerPool(views, 2);
+
+        try {
+            await expect(processNdjsonViews(testDataPath, views, { pool }))
+                .rejects.toThrow(/Evaluation worker \d crashed: Unsupported FHIR version: 6\.0\.0/);
+        } finally {
+            await pool.close();
+        }
+    });
+});
\ No newline at end of file
@@ -3,15 +3,23 @@ dotenv.config();
 
 export default {
     debug: process.env.DEBUG === 'true', // Convert string to boolean
-    asyncProcessing: process.env.ASYNC_PROCESSING === 'true', // Enable/disable async processing
+    asyncProcessing: process.env.ASYNC_PROCESSING === 'true', // Evaluate FHIRPath on worker threads
     viewDefinitionsFolder: process.env.VIEW_DEFINITIONS_FOLDER,
     ndjsonFilePath: process.env.NDJSON_FILE_PATH,
     duckdbFolder: process.env.DUCKDB_FOLDER,
     duckdbFileName: process.env.DUCKDB_FILE_NAME,
     logsFolder: process.env.LOGS_FOLDER || './logs', // Folder for log files
     connectionPoolSize: parseInt(process.env.CONNECTION_POOL_SIZE || '10', 10), // Number of connections in the pool
-    concurrencyLimit: parseInt(process.env.CONCURRENCY_LIMIT || '10', 10), // Concurrency limit for async processing
+    concurrencyLimit: parseInt(process.env.CONCURRENCY_LIMIT || '10', 10), // Number of worker threads for async processing
     batchSize: parseInt(process.env.BATCH_SIZE || '1000', 10), // Batch size for processing
     logLevel: process.env.LOG_LEVEL || 'info', // Logging level (e.g., debug, info, warn, error)
     bulkExportFolder: process.env.BULK_EXPORT_FOLDER,
+    conformanceTestsFolder: process.env.CONFORMANCE_TESTS_FOLDER, // Folder with SQL-on-FHIR v2 JSON test case files
+    fhirVersion: process.env.FHIR_VERSION || 'R4', // Default FHIR release for views without fhirVersion (STU3, R4, R4B, R5)
+    strictMode: process.env.STRICT_MODE === 'true', // Fail rows that break column cardinality or type contracts
+    rebuildOnSchemaChange: process.env.REBUILD_ON_SCHEMA_CHANGE === 'true', // Drop and recreate tables whose view changed destructively
+    rebuildOnViewChange: process.env.REBUILD_ON_VIEW_CHANGE === 'true', // Rebuild tables whose ViewDefinition content changed since the last build
+    fullRebuild: process.env.FULL_REBUILD === 'true', // Rebuild every table from all NDJSON files instead of only new or changed ones
+    historyViews: (process.env.HISTORY_VIEWS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean), // Views whose replaced rows are kept in a <table>_history table
+    maxRepeatDepth: parseInt(process.env.MAX_REPEAT_DEPTH || '100', 10), // Maximum recursion depth for repeat selects
 };
\ No newline at end of file
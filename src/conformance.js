@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseViewDefinition } from './viewParser.js';
+import { evaluateResources } from './ndjsonProcessor.js';
+import config from './config.js';
+
+/**
+ * Loads the SQL-on-FHIR v2 JSON test case files from a folder.
+ * @param {string} testsDir - Path to the folder holding the test case files.
+ * @returns {Array<{file: string, content: object}>} The parsed test case files, sorted by file name.
+ */
+function loadTestFiles(testsDir) {
+    return fs.readdirSync(testsDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => ({
+            file,
+            content: JSON.parse(fs.readFileSync(path.join(testsDir, file), 'utf8'))
+        }));
+}
+
+/**
+ * Serializes a row with its keys sorted, so rows compare independently of key order.
+ * @param {object} row - The row to serialize.
+ * @returns {string} The serialized row.
+ */
+function serializeRow(row) {
+    return JSON.stringify(Object.keys(row).sort().reduce((acc, key) => {
+        acc[key] = row[key];
+        return acc;
+    }, {}));
+}
+
+/**
+ * Compares actual rows with expected rows, ignoring row order.
+ * @param {Array} actual - The rows produced by the evaluator.
+ * @param {Array} expected - The rows the test case expects.
+ * @returns {{missing: Array, unexpected: Array}} Expected rows not produced, and produced rows not expected.
+ */
+function compareRows(actual, expected) {
+    const remaining = actual.map(serializeRow);
+    const missing = [];
+
+    expected.forEach(row => {
+        const index = remaining.indexOf(serializeRow(row));
+        if (index === -1) {
+            missing.push(row);
+        } else {
+            remaining.splice(index, 1);
+        }
+    });
+
+    return { missing, unexpected: remaining.map(row => JSON.parse(row)) };
+}
+
+/**
+ * Fills in the ViewDefinition fields the test case views leave out but the parser requires:
+ * a name derived from the test title and an active status.
+ * @param {object} view - The test case view.
+ * @param {string} title - The test case title.
+ * @returns {object} The view, with its own fields taking precedence over the defaults.
+ */
+function withViewDefaults(view, title) {
+    if (typeof view !== 'object' || view === null || Array.isArray(view)) {
+        return view;
+    }
+
+    const name = String(title || 'view').replace(/[^A-Za-z0-9_]+/g, '_');
+    return {
+        name: /^[A-Za-z]/.test(name) ? name : `view_${name}`,
+        status: 'active',
+        ...view
+    };
+}
+
+/**
+ * Runs a single test case against the resources of its test file.
+ * @param {Array} resources - The resources of the test file.
+ * @param {object} testCase - The test case (title, view and expect, expectColumns or expectError).
+ * @param {string|Array<string>} fhirVersion - The test file fhirVersion, used when the view declares none.
+ * @returns {object} The test result.
+ */
+function runTestCase(resources, testCase, fhirVersion) {
+    let parsedView;
+    let rows;
+
+    try {
+        parsedView = parseViewDefinition(withViewDefaults(testCase.view, testCase.title));
+        // Conformance requires multi-valued non-collection columns to fail
+        rows = evaluateResources(resources, {
+            ...parsedView,
+            name: testCase.title,
+            strict: true,
+            fhirVersion: parsedView.metadata.fhirVersion || fhirVersion
+        });
+    } catch (error) {
+        return testCase.expectError
+            ? { name: testCase.title, passed: true }
+            : { name: testCase.title, passed: false, error: error.message };
+    }
+
+    if (testCase.expectError) {
+        return { name: testCase.title, passed: false, error: 'Expected an error but the view evaluated successfully' };
+    }
+
+    if (testCase.expectColumns) {
+        const columnNames = parsedView.columns.map(col => col.name);
+        if (JSON.stringify(columnNames) !== JSON.stringify(testCase.expectColumns)) {
+            return {
+                name: testCase.title,
+                passed: false,
+                error: `Expected columns [${testCase.expectColumns.join(', ')}] but got [${columnNames.join(', ')}]`
+            };
+        }
+    }
+
+    const { missing, unexpected } = compareRows(rows, testCase.expect || []);
+    return missing.length === 0 && unexpected.length === 0
+        ? { name: testCase.title, passed: true }
+        : { name: testCase.title, passed: false, missing, unexpected };
+}
+
+/**
+ * Runs every test case of every test case file in a folder.
+ * @param {string} testsDir - Path to the folder holding the test case files.
+ * @returns {object} The report, keyed by file name, in the layout of the SQL-on-FHIR test report.
+ */
+function runConformanceTests(testsDir) {
+    const report = {};
+
+    loadTestFiles(testsDir).forEach(({ file, content }) => {
+        const resources = content.resources || [];
+        report[file] = {
+            tests: (content.tests || []).map(testCase => {
+                const { name, ...result } = runTestCase(resources, testCase, content.fhirVersion);
+                return { name, result };
+            })
+        };
+    });
+
+    return report;
+}
+
+/**
+ * Prints the per-test results, with row diffs for failures, and the overall totals.
+ * @param {object} report - The report returned by runConformanceTests.
+ * @returns {{passed: number, failed: number}} The totals.
+ */
+function printReport(report) {
+    let passed = 0;
+    let failed = 0;
+
+    Object.entries(report).forEach(([file, { tests }]) => {
+        console.log(`\n${file}`);
+        tests.forEach(({ name, result }) => {
+            if (result.passed) {
+                passed++;
+                console.log(`  PASS ${name}`);
+                return;
+            }
+
+            failed++;
+            console.log(`  FAIL ${name}`);
+            if (result.error) {
+                console.log(`    ${result.error}`);
+            }
+            (result.missing || []).forEach(row => console.log(`    - ${JSON.stringify(row)}`));
+            (result.unexpected || []).forEach(row => console.log(`    + ${JSON.stringify(row)}`));
+        });
+    });
+
+    console.log('\nConformance Summary:');
+    console.log(`- Passed: ${passed}`);
+    console.log(`- Failed: ${failed}`);
+    console.log('----------------------------------------');
+
+    return { passed, failed };
+}
+
+async function main() {
+    try {
+        const testsDir = path.resolve(process.argv[2] || config.conformanceTestsFolder);
+        const report = runConformanceTests(testsDir);
+        const { failed } = printReport(report);
+
+        const reportPath = path.join(path.resolve(config.logsFolder), 'conformance_report.json');
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`Report written to ${reportPath}`);
+
+        process.exitCode = failed > 0 ? 1 : 0;
+    } catch (err) {
+        console.error('Error in conformance runner:', err.message);
+        console.error('Error stack:', err.stack);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export { compareRows, runTestCase, runConformanceTests };
\ No newline at end of file
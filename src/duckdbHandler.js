@@ -13,6 +13,9 @@ if (!fs.existsSync(duckdbFolder)) {
 
 const dbPath = path.join(duckdbFolder, config.duckdbFileName);
 let instance;
+
+// Columns every view table carries besides the view's own columns
+const systemColumns = ['id', 'last_updated', 'version_id', 'run_id'];
 const connectionPool = []; // Pool of connections
 
 /**
@@ -117,40 +120,219 @@ function mapFhirTypeToDuckDBType(fhirType, tags = []) {
     return typeMapping[fhirType] || 'VARCHAR';
 }
 
+// Spellings DuckDB accepts for the same type, as reported by information_schema
+const typeAliases = {
+    INT: 'INTEGER',
+    INT4: 'INTEGER',
+    INT8: 'BIGINT',
+    LONG: 'BIGINT',
+    FLOAT8: 'DOUBLE',
+    TEXT: 'VARCHAR',
+    STRING: 'VARCHAR',
+    BOOL: 'BOOLEAN',
+    DATETIME: 'TIMESTAMP'
+};
+
+// Type changes that keep every existing value, applied in place with ALTER COLUMN ... SET DATA TYPE.
+// Any type also widens to VARCHAR.
+const wideningTypes = {
+    TINYINT: ['SMALLINT', 'INTEGER', 'BIGINT', 'DOUBLE'],
+    SMALLINT: ['INTEGER', 'BIGINT', 'DOUBLE'],
+    INTEGER: ['BIGINT', 'DOUBLE'],
+    BIGINT: ['DOUBLE'],
+    FLOAT: ['DOUBLE'],
+    DATE: ['TIMESTAMP']
+};
+
+/**
+ * Normalizes a DuckDB type name so view and table types compare equal.
+ * @param {string} type - The type name.
+ * @returns {string} The normalized type name.
+ */
+function normalizeType(type) {
+    const upper = type.trim().toUpperCase();
+    if (upper.endsWith('[]')) {
+        return `${normalizeType(upper.slice(0, -2))}[]`;
+    }
+    return typeAliases[upper] || upper;
+}
+
+/**
+ * Tells whether changing a column from one type to another keeps every existing value.
+ * @param {string} from - The current column type.
+ * @param {string} to - The new column type.
+ * @returns {boolean} True for a widening change.
+ */
+function isWideningChange(from, to) {
+    const fromList = from.endsWith('[]');
+    if (fromList !== to.endsWith('[]')) {
+        return false;
+    }
+    if (fromList) {
+        return isWideningChange(from.slice(0, -2), to.slice(0, -2));
+    }
+    return to === 'VARCHAR' || (wideningTypes[from] || []).includes(to);
+}
+
+/**
+ * Maps view columns to the DuckDB column definitions of a table.
+ * @param {Array} columns - The view columns.
+ * @returns {Array<{name: string, dataType: string}>} The column names and types.
+ */
+function toTableColumns(columns) {
+    return columns.map(col => {
+        const dbType = mapFhirTypeToDuckDBType(col.type, col.tags);
+        return { name: col.name, dataType: normalizeType(col.collection ? `${dbType}[]` : dbType) };
+    });
+}
+
+/**
+ * Compares the columns of a view with those of the live table.
+ * @param {string} tableName - The name of the table.
+ * @param {Array<{name: string, dataType: string}>} viewColumns - The columns the view produces.
+ * @param {Array<{name: string, dataType: string}>} tableColumns - The columns of the table.
+ * @returns {{additive: Array<string>, destructive: Array<string>}} The ALTER TABLE statements that keep
+ *   existing data, and descriptions of the changes that would lose data.
+ */
+function diffTableColumns(tableName, viewColumns, tableColumns) {
+    const additive = [];
+    const destructive = [];
+
+    viewColumns.forEach(({ name, dataType }) => {
+        const tableColumn = tableColumns.find(col => col.name === name);
+        if (!tableColumn) {
+            additive.push(`ALTER TABLE ${tableName} ADD COLUMN ${name} ${dataType};`);
+        } else if (tableColumn.dataType !== dataType) {
+            if (isWideningChange(tableColumn.dataType, dataType)) {
+                additive.push(`ALTER TABLE ${tableName} ALTER COLUMN ${name} SET DATA TYPE ${dataType};`);
+            } else {
+                destructive.push(`change column ${name} from ${tableColumn.dataType} to ${dataType}`);
+            }
+        }
+    });
+
+    tableColumns
+        .filter(({ name }) => !viewColumns.some(col => col.name === name))
+        .forEach(({ name }) => destructive.push(`drop column ${name}`));
+
+    return { additive, destructive };
+}
+
 /**
- * Creates a table in DuckDB if it does not already exist.
+ * Creates a table and its id sequence.
+ * @param {object} connection - The DuckDB connection.
  * @param {string} tableName - The name of the table to create.
- * @param {Array} columns - The columns to include in the table.
+ * @param {Array<{name: string, dataType: string}>} tableColumns - The columns of the table.
  */
-const columnTypes = {};
+async function createTableWithSequence(connection, tableName, tableColumns) {
+    const sequenceName = `${tableName}_id_seq`;
+    await connection.run(`CREATE SEQUENCE ${sequenceName};`);
 
-async function createTable(tableName, columns) {
+    const columnDefs = [
+        `id INTEGER PRIMARY KEY DEFAULT nextval('${sequenceName}')`,
+        ...tableColumns.map(col => `${col.name} ${col.dataType}`),
+        `last_updated TIMESTAMP`, // meta.lastUpdated of the resource behind the row
+        `version_id VARCHAR`, // meta.versionId of the resource behind the row
+        `run_id VARCHAR` // The run that last wrote the row
+    ].join(', ');
+
+    const query = `CREATE TABLE ${tableName} (${columnDefs});`;
+    logger.debug(`Creating table with query: ${query}`);
+    await connection.run(query);
+}
+
+/**
+ * Creates a table in DuckDB, or migrates the existing table to the view's columns. New columns and
+ * widening type changes are applied with ALTER TABLE. Changes that would lose data (dropped or
+ * renamed columns, narrowing type changes) fail unless `rebuild` is set, in which case the table is
+ * dropped and created again empty. Every migration applied is logged.
+ * @param {string} tableName - The name of the table to create.
+ * @param {Array} columns - The columns to include in the table.
+ * @param {string} resourceKey - The resource key (e.g., "patient_id").
+ * @param {object} options - The migration options.
+ * @param {boolean} options.rebuild - Whether destructive changes rebuild the table (defaults to REBUILD_ON_SCHEMA_CHANGE).
+ * @returns {Promise<{created: boolean, rebuilt: boolean, migrations: Array<string>}>} What was done to the table.
+ */
+async function createTable(tableName, columns, resourceKey, { rebuild = config.rebuildOnSchemaChange } = {}) {
     const connection = await getConnection();
     try {
         if (!columns || !Array.isArray(columns)) {
             throw new Error('Invalid columns: columns must be an array');
         }
 
+        const viewColumns = toTableColumns(columns);
+
         if (!await tableExists(tableName)) {
-            const sequenceName = `${tableName}_id_seq`;
-            await connection.run(`CREATE SEQUENCE ${sequenceName};`);
-
-            const columnDefs = [
-                `id INTEGER PRIMARY KEY DEFAULT nextval('${sequenceName}')`,
-                ...columns.map(col => {
-                    const dbType = mapFhirTypeToDuckDBType(col.type, col.tags);
-                    return col.collection ? `${col.name} ${dbType}[]` : `${col.name} ${dbType}`;
-                }),
-                `last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP` // Add last_updated column
-            ].join(', ');
-
-            const query = `CREATE TABLE ${tableName} (${columnDefs});`;
-            logger.debug(`Creating table with query: ${query}`);
-            await connection.run(query);
+            await createTableWithSequence(connection, tableName, viewColumns);
             logger.info(`Table "${tableName}" created successfully.`);
-        } else {
+            return { created: true, rebuilt: false, migrations: [] };
+        }
+
+        const tableSchema = await connection.runAndReadAll(`
+            SELECT column_name, data_type 
+            FROM information_schema.columns 
+            WHERE table_name = '${tableName}'
+        `);
+        const tableColumns = tableSchema.getRows()
+            .filter(([name]) => !systemColumns.includes(name))
+            .map(([name, dataType]) => ({ name, dataType: normalizeType(dataType) }));
+
+        const { additive, destructive } = diffTableColumns(tableName, viewColumns, tableColumns);
+
+        // Tables built by older versions of the runner lack the newer system columns
+        const tableColumnNames = tableSchema.getRows().map(([name]) => name);
+        const systemMigrations = [];
+        if (!tableColumnNames.includes('run_id')) {
+            systemMigrations.push(`ALTER TABLE ${tableName} ADD COLUMN run_id VARCHAR;`);
+        }
+        if (!tableColumnNames.includes('version_id')) {
+            // last_updated held the load time, which would make every incoming resource look stale
+            systemMigrations.push(
+                `ALTER TABLE ${tableName} ADD COLUMN version_id VARCHAR;`,
+                `ALTER TABLE ${tableName} ALTER COLUMN last_updated DROP DEFAULT;`,
+                `UPDATE ${tableName} SET last_updated = NULL;`
+            );
+        }
+        additive.unshift(...systemMigrations);
+
+        if (destructive.length > 0) {
+            if (!rebuild) {
+                throw new Error(`Table "${tableName}" needs destructive schema changes (${destructive.join('; ')}). Set REBUILD_ON_SCHEMA_CHANGE=true to rebuild it.`);
+            }
+
+            await connection.run('BEGIN TRANSACTION;');
+            try {
+                await connection.run(`DROP TABLE ${tableName};`);
+                await connection.run(`DROP SEQUENCE IF EXISTS ${tableName}_id_seq;`);
+                await createTableWithSequence(connection, tableName, viewColumns);
+                await connection.run('COMMIT;');
+            } catch (error) {
+                await connection.run('ROLLBACK;');
+                throw error;
+            }
+
+            logger.warn(`Table "${tableName}" rebuilt for destructive schema changes: ${destructive.join('; ')}`);
+            return { created: false, rebuilt: true, migrations: destructive };
+        }
+
+        if (additive.length === 0) {
             logger.info(`Table "${tableName}" already exists. Skipping creation.`);
+            return { created: false, rebuilt: false, migrations: [] };
         }
+
+        await connection.run('BEGIN TRANSACTION;');
+        try {
+            for (const statement of additive) {
+                await connection.run(statement);
+            }
+            await connection.run('COMMIT;');
+        } catch (error) {
+            await connection.run('ROLLBACK;');
+            throw error;
+        }
+
+        additive.forEach(statement => logger.info(`Migrated table "${tableName}": ${statement}`));
+        return { created: false, rebuilt: false, migrations: additive };
     } catch (error) {
         logger.error('Error creating table:', error);
         throw error;
@@ -159,125 +341,983 @@ async function createTable(tableName, columns) {
     }
 }
 
+// Rows are staged as text and cast to the column types by DuckDB when copied into the table
+const stagingListType = duckdb.LIST(duckdb.VARCHAR);
+
+/**
+ * Converts a row value to the text staged for it.
+ * @param {*} value - The row value.
+ * @returns {string|null} The staged text, or null.
+ */
+function toStagedText(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Loads rows into a temporary staging table with the DuckDB Appender. Every column is staged as
+ * VARCHAR (VARCHAR[] for LIST columns), after the row's index, three flags the upsert fills in
+ * (whether the row's resource key was already in the table, whether the row failed to insert and
+ * whether a newer version of its resource is known) and the version of the row's resource.
+ * @param {object} connection - The DuckDB connection.
+ * @param {string} stagingTable - The name of the staging table.
+ * @param {Array} rows - The rows to stage.
+ * @param {Array<{name: string, isList: boolean}>} columns - The table columns to fill.
+ * @param {Array<{versionId: string, lastUpdated: string}>} versions - The version of the resource behind each row.
+ */
+async function stageRows(connection, stagingTable, rows, columns, versions = []) {
+    const columnDefs = columns.map(col => `${col.name} ${col.isList ? 'VARCHAR[]' : 'VARCHAR'}`);
+    await connection.run(`
+        CREATE OR REPLACE TEMP TABLE ${stagingTable} (
+            row_index INTEGER, key_existed BOOLEAN, failed BOOLEAN, stale BOOLEAN,
+            _version_id VARCHAR, _last_updated VARCHAR, ${columnDefs.join(', ')}
+        );
+    `);
+
+    const appender = await connection.createAppender(stagingTable);
+    try {
+        rows.forEach((row, index) => {
+            const { versionId = null, lastUpdated = null } = versions[index] || {};
+            appender.appendInteger(index);
+            appender.appendBoolean(false);
+            appender.appendBoolean(false);
+            appender.appendBoolean(false);
+            [versionId, lastUpdated].forEach(value => (value === null ? appender.appendNull() : appender.appendVarchar(value)));
+            columns.forEach(col => {
+                const value = row[col.name];
+                if (value === null || value === undefined) {
+                    appender.appendNull();
+                } else if (col.isList) {
+                    const items = Array.isArray(value) ? value : [value];
+                    appender.appendList(duckdb.listValue(items.map(toStagedText)), stagingListType);
+                } else {
+                    appender.appendVarchar(toStagedText(value));
+                }
+            });
+            appender.endRow();
+
+            if ((index + 1) % config.batchSize === 0) {
+                appender.flush();
+            }
+        });
+        appender.flush();
+    } finally {
+        appender.close();
+    }
+}
+
+/**
+ * Builds the SELECT list casting staged columns to the table column types.
+ * @param {Array<{name: string, dataType: string}>} columns - The table columns.
+ * @returns {string} The SELECT list.
+ */
+function castStagedColumns(columns) {
+    return columns.map(col => `CAST(${col.name} AS ${col.dataType})`).join(', ');
+}
+
 /**
- * Upserts data into a table.
+ * Builds, per column, a boolean expression telling whether the staged value casts to the column type.
+ * @param {Array<{name: string, dataType: string, isList: boolean}>} columns - The table columns.
+ * @returns {string} The SELECT list.
+ */
+function checkStagedColumns(columns) {
+    return columns.map(col => (col.isList
+        // TRY_CAST nulls the items (or the whole list) it cannot convert
+        ? `(${col.name} IS NULL OR list_count(TRY_CAST(${col.name} AS ${col.dataType})) = list_count(${col.name}))`
+        : `(${col.name} IS NULL OR TRY_CAST(${col.name} AS ${col.dataType}) IS NOT NULL)`
+    )).join(', ');
+}
+
+/**
+ * Builds the SQL condition telling whether one resource version is newer than another: a later
+ * lastUpdated, or the same lastUpdated and a higher numeric versionId.
+ * @param {{lastUpdated: string, versionId: string}} version - The SQL expressions of the version.
+ * @param {{lastUpdated: string, versionId: string}} than - The SQL expressions of the version compared to.
+ * @returns {string} The SQL condition; false when either version is unknown.
+ */
+function isNewerVersion(version, than) {
+    return `(${version.lastUpdated} > ${than.lastUpdated} OR (${version.lastUpdated} IS NOT DISTINCT FROM ${than.lastUpdated}
+        AND TRY_CAST(${version.versionId} AS BIGINT) > TRY_CAST(${than.versionId} AS BIGINT)))`;
+}
+
+/**
+ * Builds the INSERT ... SELECT copying staged rows into a table, with the system columns.
  * @param {string} tableName - The name of the table.
- * @param {Array} rows - The rows to upsert.
- * @param {string} resourceKey - The resource key (e.g., "patient_id").
- * @returns {Promise<{inserted: number, updated: number, errors: number}>} The result of the upsert operation.
+ * @param {string} stagingTable - The name of the staging table.
+ * @param {Array<{name: string, dataType: string}>} columns - The table columns.
+ * @param {string} condition - The condition selecting the staged rows.
+ * @returns {string} The query, taking the run id as its first parameter.
  */
-async function upsertData(tableName, rows, resourceKey) {
-    if (rows.length === 0) {
-        logger.warn(`No rows to upsert for table ${tableName}`);
-        return { inserted: 0, deleted: 0, updated: 0, errors: 0 };
+function insertStagedQuery(tableName, stagingTable, columns, condition) {
+    return `
+        INSERT INTO ${tableName} (${columns.map(col => col.name).join(', ')}, run_id, version_id, last_updated)
+        SELECT ${castStagedColumns(columns)}, ?, _version_id, CAST(_last_updated AS TIMESTAMP)
+        FROM ${stagingTable} WHERE ${condition}
+        ORDER BY row_index;
+    `;
+}
+
+/**
+ * Inserts a range of staged rows one by one, flagging as failed the rows whose values do not fit
+ * the column types. A failed statement aborts a DuckDB transaction, so rows are checked with
+ * TRY_CAST before they are inserted. Stale rows are left out.
+ */
+async function insertStagedRowsOneByOne(connection, tableName, stagingTable, rows, columns, runId, start, end) {
+    const insertQuery = insertStagedQuery(tableName, stagingTable, columns, 'row_index = ?');
+    const checkQuery = `SELECT ${checkStagedColumns(columns)} FROM ${stagingTable} WHERE row_index = ? AND NOT stale;`;
+
+    for (let index = start; index < end; index++) {
+        const checks = (await connection.runAndReadAll(checkQuery, [index])).getRows()[0];
+        if (!checks) {
+            continue;
+        }
+        const invalidColumns = columns.filter((col, colIndex) => !checks[colIndex]);
+
+        if (invalidColumns.length > 0) {
+            const error = new Error(`Could not convert ${invalidColumns.map(col => `${col.name} to ${col.dataType}`).join(', ')}`);
+            logger.error('Error inserting row:', error.message);
+            logger.error('Failed row:', JSON.stringify(rows[index], null, 2));
+            logFailedRecord(tableName, rows[index], error);
+            await connection.run(`UPDATE ${stagingTable} SET failed = true WHERE row_index = ?;`, [index]);
+            continue;
+        }
+
+        await connection.run(insertQuery, [runId, index]);
     }
+}
+
+const resourceVersionsTable = '_resource_versions';
+
+/**
+ * Creates the resource versions table if it does not exist. It records, per resource, the newest
+ * version loaded by any view, or a tombstone once the resource was deleted, so a view that
+ * produces no rows for a version still rejects older ones.
+ * @param {object} connection - The DuckDB connection.
+ */
+async function ensureResourceVersions(connection) {
+    await connection.run(`
+        CREATE TABLE IF NOT EXISTS ${resourceVersionsTable} (
+            resource_type VARCHAR,
+            resource_id VARCHAR,
+            version_id VARCHAR,
+            last_updated TIMESTAMP,
+            deleted BOOLEAN,
+            run_id VARCHAR,
+            PRIMARY KEY (resource_type, resource_id)
+        );
+    `);
+}
 
-    let inserted = 0;
-    let deleted = 0;
-    let updated = 0; // Track updated records
-    let errors = 0;
+/**
+ * Records resources as deleted in the resource versions table. The tombstone is dated by the start
+ * of the run that first applied the deletion; versions not updated after it are stale from then on.
+ * @param {string} resourceType - The resource type (e.g., "Patient").
+ * @param {Array<string>} ids - The ids of the deleted resources.
+ * @param {object} options - The options.
+ * @param {string} options.runId - The id of the run applying the deletions.
+ */
+async function recordDeletedResources(resourceType, ids, { runId = null } = {}) {
+    if (ids.length === 0) {
+        return;
+    }
 
+    const stagingTable = '_resource_versions_deletions';
     let connection;
 
     try {
         connection = await getConnection();
+        await ensureRunLedger(connection);
+        await ensureResourceVersions(connection);
+        await stageRows(connection, stagingTable, ids.map(id => ({ resource_id: id })), [{ name: 'resource_id', isList: false }]);
 
-        // Start a transaction
-        await connection.run('BEGIN TRANSACTION;');
+        // A deletion applied again, e.g. with a reprocessed deletion file, keeps its first date
+        await connection.run(`
+            INSERT INTO ${resourceVersionsTable} (resource_type, resource_id, version_id, last_updated, deleted, run_id)
+            SELECT DISTINCT ?, resource_id, NULL, ${runStartedAt()}, true, ? FROM ${stagingTable}
+            ON CONFLICT (resource_type, resource_id) DO UPDATE
+            SET last_updated = excluded.last_updated, deleted = true, run_id = excluded.run_id
+            WHERE NOT ${resourceVersionsTable}.deleted;
+        `, [resourceType, runId, runId]);
+    } catch (error) {
+        logger.error('Error recording deleted resources:', error);
+        throw error;
+    } finally {
+        if (connection) {
+            await connection.run(`DROP TABLE IF EXISTS ${stagingTable};`).catch(() => {});
+            await releaseConnection(connection);
+        }
+    }
+}
 
-        // Get the unique resource keys from the rows
-        const resourceKeys = [...new Set(rows.map(row => row[resourceKey]))];
+/**
+ * Creates the history table of a table, or brings it up to date with the table's columns, along
+ * with the `<table>_as_of(timestamp)` table macro that rebuilds the table as it was at that time.
+ * The history table has the table's columns plus `valid_from` and `valid_to`. Columns are never
+ * dropped from it, and a column whose type changed is widened (to VARCHAR when the types are
+ * incompatible) so every archived value is kept.
+ * @param {string} tableName - The name of the table.
+ * @returns {Promise<Array<string>>} The statements applied to the history table.
+ */
+async function createHistoryTable(tableName) {
+    const historyTable = `${tableName}_history`;
+    const connection = await getConnection();
+    try {
+        // Rows without a meta.lastUpdated are dated by the run that loaded them
+        await ensureRunLedger(connection);
 
-        // Track which keys are being updated
-        const updatedKeys = new Set();
+        const readColumns = async (name) => (await connection.runAndReadAll(
+            `SELECT column_name, data_type FROM information_schema.columns WHERE table_name = ?;`,
+            [name]
+        )).getRows().map(([columnName, dataType]) => ({ name: columnName, dataType: normalizeType(dataType) }));
 
-        // Delete existing records with the same resourceKey
-        for (const key of resourceKeys) {
-            // Get the count of rows before deletion
-            const countBefore = await connection.runAndReadAll(
-                `SELECT COUNT(*) FROM ${tableName} WHERE ${resourceKey} = ?;`,
-                [key]
-            );
-            const countBeforeValue = Number(countBefore.getRows()[0][0]);
+        const historyColumns = await readColumns(historyTable);
+        const statements = [];
+        if (historyColumns.length === 0) {
+            statements.push(`CREATE TABLE ${historyTable} AS SELECT *, CAST(NULL AS TIMESTAMP) AS valid_from, CAST(NULL AS TIMESTAMP) AS valid_to FROM ${tableName} LIMIT 0;`);
+        } else {
+            (await readColumns(tableName)).forEach(({ name, dataType }) => {
+                const historyColumn = historyColumns.find(col => col.name === name);
+                if (!historyColumn) {
+                    statements.push(`ALTER TABLE ${historyTable} ADD COLUMN ${name} ${dataType};`);
+                } else if (historyColumn.dataType !== dataType && !isWideningChange(dataType, historyColumn.dataType)) {
+                    const historyType = isWideningChange(historyColumn.dataType, dataType) ? dataType : 'VARCHAR';
+                    statements.push(`ALTER TABLE ${historyTable} ALTER COLUMN ${name} SET DATA TYPE ${historyType};`);
+                }
+            });
+        }
 
-            // Execute the DELETE query
-            const deleteQuery = `DELETE FROM ${tableName} WHERE ${resourceKey} = ?;`;
-            await connection.run(deleteQuery, [key]);
+        for (const statement of statements) {
+            await connection.run(statement);
+        }
+        await connection.run(`
+            CREATE OR REPLACE MACRO ${tableName}_as_of(as_of) AS TABLE
+                SELECT * EXCLUDE (valid_from, valid_to) FROM ${historyTable}
+                WHERE (valid_from IS NULL OR valid_from <= as_of) AND valid_to > as_of
+                UNION ALL BY NAME
+                SELECT ${tableName}.* FROM ${tableName}
+                LEFT JOIN ${runsTable} AS runs ON runs.run_id = ${tableName}.run_id
+                WHERE COALESCE(${tableName}.last_updated, runs.started_at) IS NULL
+                    OR COALESCE(${tableName}.last_updated, runs.started_at) <= as_of;
+        `);
 
-            // Get the count of rows after deletion
-            const countAfter = await connection.runAndReadAll(
-                `SELECT COUNT(*) FROM ${tableName} WHERE ${resourceKey} = ?;`,
-                [key]
-            );
-            const countAfterValue = Number(countAfter.getRows()[0][0]);
+        statements.forEach(statement => logger.info(`Migrated history table "${historyTable}": ${statement}`));
+        return statements;
+    } catch (error) {
+        logger.error('Error creating history table:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
 
-            // Calculate the number of rows deleted
-            const rowsDeleted = countBeforeValue - countAfterValue;
-            deleted += rowsDeleted;
+/**
+ * Builds the SQL expression of when the given run started, or of the current time without a run.
+ * @returns {string} The SQL expression, taking the run id as a parameter.
+ */
+function runStartedAt() {
+    return `COALESCE((SELECT started_at FROM ${runsTable} WHERE run_id = ?), CURRENT_TIMESTAMP)`;
+}
 
-            // If rows were deleted and new rows are being inserted, count them as updated
-            if (rowsDeleted > 0 && rows.some(row => row[resourceKey] === key)) {
-                updated += rowsDeleted;
-                updatedKeys.add(key); // Mark this key as updated
-            }
+/**
+ * Copies the rows of the replaced or deleted resources into the history table, valid from their
+ * resource's meta.lastUpdated (or the start of the run that loaded them) until the given time.
+ * Rows whose validity would be empty, such as a resource reloaded at the same version, are not kept,
+ * and neither are versions already archived (same resource key, version_id and valid_from), which
+ * a rebuilt table replaces again while its files are reprocessed.
+ * @param {object} connection - The DuckDB connection, inside the transaction removing the rows.
+ * @param {string} tableName - The name of the table.
+ * @param {string} resourceKey - The resource key (e.g., "patient_id").
+ * @param {string} replaced - A query returning the replaced resource keys (as the resource key column)
+ *   with the time they stopped being valid (as `valid_to`).
+ * @param {Array} params - The parameters of the query.
+ * @returns {Promise<number>} The number of rows archived.
+ */
+async function archiveRows(connection, tableName, resourceKey, replaced, params) {
+    const columns = (await connection.runAndReadAll(
+        `SELECT column_name FROM information_schema.columns WHERE table_name = ?;`,
+        [tableName]
+    )).getRows().map(([name]) => name);
 
-            logger.debug(`Deleted ${rowsDeleted} records with ${resourceKey} = ${key}`);
-        }
+    const result = await connection.runAndReadAll(`
+        INSERT INTO ${tableName}_history (${columns.join(', ')}, valid_from, valid_to)
+        SELECT ${columns.map(name => `archived.${name}`).join(', ')}, archived.valid_from, archived.valid_to
+        FROM (
+            SELECT ${tableName}.*, COALESCE(${tableName}.last_updated, runs.started_at) AS valid_from, replaced.valid_to
+            FROM ${tableName}
+            JOIN (${replaced}) AS replaced ON ${tableName}.${resourceKey} = replaced.${resourceKey}
+            LEFT JOIN ${runsTable} AS runs ON runs.run_id = ${tableName}.run_id
+        ) AS archived
+        WHERE (archived.valid_from IS NULL OR archived.valid_to > archived.valid_from)
+        AND NOT EXISTS (
+            SELECT 1 FROM ${tableName}_history AS archive
+            WHERE archive.${resourceKey} = archived.${resourceKey}
+            AND archive.version_id IS NOT DISTINCT FROM archived.version_id
+            AND archive.valid_from IS NOT DISTINCT FROM archived.valid_from
+        );
+    `, params);
+    return Number(result.getRows()[0][0]);
+}
+
+/**
+ * Upserts data into a table as set operations: the rows are loaded into a staging table by the
+ * DuckDB Appender, the table's rows for every staged resource key are removed with a single
+ * DELETE ... USING, and the staged rows are copied in with INSERT ... SELECT in chunks of
+ * BATCH_SIZE. A chunk whose bulk insert fails is inserted again row by row so only its bad rows
+ * are rejected. All counts are computed by SQL. Every inserted row is stamped with the run id.
+ *
+ * Rows only replace a resource when their version (meta.lastUpdated, then meta.versionId) is not
+ * older than the one in the table, or than another staged version of the same resource. Stale rows
+ * are skipped and logged, and the existing rows of their resource are kept.
+ *
+ * With `resourceType`, versions are also checked against, and recorded in, the resource versions
+ * table shared by every view of the resource type: a resource is stale there when another view
+ * loaded a newer version, or when it was deleted and the row's version is not dated after that.
+ *
+ * With `history`, replaced rows are moved to the table's history table (see createHistoryTable)
+ * instead of being discarded.
+ * @param {string} tableName - The name of the table.
+ * @param {Array} rows - The rows to upsert.
+ * @param {string} resourceKey - The resource key (e.g., "patient_id").
+ * @param {object} options - The upsert options.
+ * @param {string} options.runId - The id of the run writing the rows, stored in their run_id column.
+ * @param {Array<{versionId: string, lastUpdated: string}>} options.versions - The version of the resource
+ *   behind each row, stored in its version_id and last_updated columns.
+ * @param {boolean} options.history - Whether replaced rows are kept in the history table.
+ * @param {string} options.resourceType - The resource type of the rows (e.g., "Patient"), to check
+ *   and record their versions in the resource versions table.
+ * @returns {Promise<{inserted: number, deleted: number, updated: number, errors: number, stale: number}>}
+ *   The result of the upsert operation; `stale` counts the resources skipped for a newer version.
+ */
+async function upsertData(tableName, rows, resourceKey, { runId = null, versions = [], history = false, resourceType = null } = {}) {
+    if (rows.length === 0) {
+        logger.warn(`No rows to upsert for table ${tableName}`);
+        return { inserted: 0, deleted: 0, updated: 0, errors: 0, stale: 0 };
+    }
+
+    const stagingTable = `${tableName}_staging`;
+    // Chunks (by start row) whose bulk insert failed, inserted row by row on the next attempt
+    const rowWiseChunks = new Set();
+
+    let connection;
+
+    try {
+        connection = await getConnection();
 
-        // Insert new records
         const tableSchema = await connection.runAndReadAll(`
             SELECT column_name, data_type 
             FROM information_schema.columns 
             WHERE table_name = '${tableName}'
         `);
 
-        // Exclude id and last_updated columns
-        const allColumns = tableSchema.getRows()
-            .map(row => row[0])
-            .filter(col => col !== 'id' && col !== 'last_updated');
+        // Exclude id, last_updated and run_id columns
+        const columns = tableSchema.getRows()
+            .filter(([name]) => !systemColumns.includes(name))
+            .map(([name, dataType]) => ({ name, dataType, isList: dataType.endsWith('[]') }));
+
+        const keyColumn = columns.find(col => col.name === resourceKey);
+        if (!keyColumn) {
+            throw new Error(`Resource key column "${resourceKey}" not found in table ${tableName}`);
+        }
+        const stagedKey = `CAST(${resourceKey} AS ${keyColumn.dataType})`;
+
+        await stageRows(connection, stagingTable, rows, columns, versions);
+        if (resourceType) {
+            await ensureResourceVersions(connection);
+        }
 
-        const placeholders = allColumns.map(() => '?').join(', ');
-        const insertQuery = `
-            INSERT INTO ${tableName} (${allColumns.join(', ')}) 
-            VALUES (${placeholders});
-        `;
+        const stagedVersion = { lastUpdated: `CAST(${stagingTable}._last_updated AS TIMESTAMP)`, versionId: `${stagingTable}._version_id` };
+        const knownVersionCheck = resourceType ? `
+            OR EXISTS (
+                SELECT 1 FROM ${resourceVersionsTable} AS known
+                WHERE known.resource_type = ? AND known.resource_id = ${stagingTable}.${resourceKey}
+                AND CASE WHEN known.deleted
+                    THEN ${stagedVersion.lastUpdated} IS NULL OR ${stagedVersion.lastUpdated} <= known.last_updated
+                    ELSE ${isNewerVersion({ lastUpdated: 'known.last_updated', versionId: 'known.version_id' }, stagedVersion)}
+                END
+            )` : '';
+
+        // DuckDB aborts a transaction on the first failed statement, so a failing chunk rolls the
+        // whole upsert back and it is replayed with that chunk inserted row by row
+        for (;;) {
+            let failedChunk = -1;
+
+            // Start a transaction
+            await connection.run('BEGIN TRANSACTION;');
 
-        for (const row of rows) {
             try {
-                const values = allColumns.map(col => row[col] !== undefined ? row[col] : null);
-                await connection.run(insertQuery, values);
+                // Remember which rows replace existing records before those records are deleted
+                await connection.run(`
+                    UPDATE ${stagingTable}
+                    SET key_existed = COALESCE(${stagedKey} IN (SELECT ${resourceKey} FROM ${tableName}), false);
+                `);
+
+                // Rows whose resource has a newer version in the table, among the staged rows or in
+                // the resource versions table, are stale
+                await connection.run(`
+                    UPDATE ${stagingTable} SET stale = true
+                    WHERE EXISTS (
+                        SELECT 1 FROM ${tableName} AS existing
+                        WHERE existing.${resourceKey} = CAST(${stagingTable}.${resourceKey} AS ${keyColumn.dataType})
+                        AND ${isNewerVersion({ lastUpdated: 'existing.last_updated', versionId: 'existing.version_id' }, stagedVersion)}
+                    ) OR EXISTS (
+                        SELECT 1 FROM ${stagingTable} AS newer
+                        WHERE newer.${resourceKey} = ${stagingTable}.${resourceKey}
+                        AND ${isNewerVersion({ lastUpdated: 'CAST(newer._last_updated AS TIMESTAMP)', versionId: 'newer._version_id' }, stagedVersion)}
+                    )${knownVersionCheck};
+                `, resourceType ? [resourceType] : []);
+
+                if (history) {
+                    // A replaced row stays valid until its new version became valid
+                    await archiveRows(connection, tableName, resourceKey, `
+                        SELECT ${stagedKey} AS ${resourceKey}, MAX(COALESCE(CAST(_last_updated AS TIMESTAMP), ${runStartedAt()})) AS valid_to
+                        FROM ${stagingTable} WHERE NOT stale GROUP BY 1
+                    `, [runId]);
+                }
+
+                const deleteResult = await connection.runAndReadAll(`
+                    DELETE FROM ${tableName}
+                    USING (SELECT DISTINCT ${stagedKey} AS ${resourceKey} FROM ${stagingTable} WHERE NOT stale) AS staged
+                    WHERE ${tableName}.${resourceKey} = staged.${resourceKey};
+                `);
+                const deleted = Number(deleteResult.getRows()[0][0]);
+
+                // Insert new records, one chunk of staged rows at a time
+                for (let start = 0; start < rows.length; start += config.batchSize) {
+                    const end = Math.min(start + config.batchSize, rows.length);
+
+                    if (rowWiseChunks.has(start)) {
+                        await insertStagedRowsOneByOne(connection, tableName, stagingTable, rows, columns, runId, start, end);
+                        continue;
+                    }
 
-                // If the row's resourceKey was not marked as updated, count it as inserted
-                if (!updatedKeys.has(row[resourceKey])) {
-                    inserted++;
+                    try {
+                        await connection.run(
+                            insertStagedQuery(tableName, stagingTable, columns, `row_index >= ${start} AND row_index < ${end} AND NOT stale`),
+                            [runId]
+                        );
+                    } catch (error) {
+                        logger.warn(`Bulk insert of rows ${start + 1}-${end} into ${tableName} failed, retrying them row by row: ${error.message}`);
+                        failedChunk = start;
+                        break;
+                    }
+                }
+
+                if (failedChunk === -1) {
+                    if (resourceType) {
+                        // Staged rows of a resource that are not stale all carry its newest version
+                        await connection.run(`
+                            INSERT OR REPLACE INTO ${resourceVersionsTable} (resource_type, resource_id, version_id, last_updated, deleted, run_id)
+                            SELECT DISTINCT ON (${resourceKey}) ?, ${resourceKey}, _version_id, CAST(_last_updated AS TIMESTAMP), false, ?
+                            FROM ${stagingTable} WHERE NOT stale;
+                        `, [resourceType, runId]);
+                    }
+
+                    const counts = await connection.runAndReadAll(`
+                        SELECT
+                            COUNT(*) FILTER (WHERE NOT failed AND NOT key_existed AND NOT stale),
+                            COUNT(*) FILTER (WHERE failed)
+                        FROM ${stagingTable};
+                    `);
+                    const [inserted, errors] = counts.getRows()[0].map(Number);
+                    // Every deleted record belongs to a resource key that is being reloaded
+                    const updated = deleted;
+
+                    const staleResources = (await connection.runAndReadAll(`
+                        SELECT DISTINCT ${resourceKey}, _version_id, _last_updated FROM ${stagingTable} WHERE stale;
+                    `)).getRows();
+                    staleResources.forEach(([key, versionId, lastUpdated]) => {
+                        logger.warn(`Skipped stale resource ${key} (version ${versionId}, last updated ${lastUpdated}) for ${tableName}: a newer version is already loaded or the resource was deleted`);
+                    });
+                    const stale = new Set(staleResources.map(([key]) => key)).size;
+
+                    // Commit the transaction
+                    await connection.run('COMMIT;');
+                    logger.info(`Processed ${rows.length} rows (Deleted: ${deleted}, Inserted: ${inserted}, Updated: ${updated}, Errors: ${errors}, Stale: ${stale})`);
+
+                    return { inserted, deleted, updated, errors, stale };
                 }
             } catch (error) {
-                errors++;
-                logger.error('Error inserting row:', error.message);
-                logger.error('Failed row:', JSON.stringify(row, null, 2));
-                logFailedRecord(tableName, row, error);
+                await connection.run('ROLLBACK;');
+                throw error;
             }
-        }
 
-        // Commit the transaction
-        await connection.run('COMMIT;');
-        logger.info(`Processed ${rows.length} rows (Deleted: ${deleted}, Inserted: ${inserted}, Updated: ${updated}, Errors: ${errors})`);
+            await connection.run('ROLLBACK;');
+            rowWiseChunks.add(failedChunk);
+        }
     } catch (error) {
-        // Rollback the transaction in case of errors
+        logger.error('Error in upsertData:', error);
+        throw error;
+    } finally {
         if (connection) {
+            // The staging table is temporary, but pooled connections outlive the upsert
+            await connection.run(`DROP TABLE IF EXISTS ${stagingTable};`).catch(() => {});
+            await releaseConnection(connection);
+        }
+    }
+}
+
+/**
+ * Deletes the rows of the given resources from a table. The ids are staged with the DuckDB
+ * Appender and removed with a single DELETE ... USING. With `history`, the rows are moved to the
+ * table's history table, valid until the start of the run.
+ * @param {string} tableName - The name of the table.
+ * @param {string} resourceKey - The resource key (e.g., "patient_id").
+ * @param {Array<string>} ids - The ids of the deleted resources.
+ * @param {object} options - The delete options.
+ * @param {string} options.runId - The id of the run applying the deletions.
+ * @param {boolean} options.history - Whether deleted rows are kept in the history table.
+ * @returns {Promise<number>} The number of rows deleted.
+ */
+async function deleteResources(tableName, resourceKey, ids, { runId = null, history = false } = {}) {
+    if (ids.length === 0 || !await tableExists(tableName)) {
+        return 0;
+    }
+
+    const stagingTable = `${tableName}_deletions`;
+    let connection;
+
+    try {
+        connection = await getConnection();
+
+        const keyResult = await connection.runAndReadAll(
+            `SELECT data_type FROM information_schema.columns WHERE table_name = ? AND column_name = ?;`,
+            [tableName, resourceKey]
+        );
+        const [keyRow] = keyResult.getRows();
+        if (!keyRow) {
+            throw new Error(`Resource key column "${resourceKey}" not found in table ${tableName}`);
+        }
+
+        await stageRows(connection, stagingTable, ids.map(id => ({ [resourceKey]: id })), [{ name: resourceKey, isList: false }]);
+        const deletedKeys = `SELECT DISTINCT CAST(${resourceKey} AS ${keyRow[0]}) AS ${resourceKey} FROM ${stagingTable}`;
+
+        let deleted;
+        await connection.run('BEGIN TRANSACTION;');
+        try {
+            if (history) {
+                await archiveRows(connection, tableName, resourceKey, `
+                    SELECT ${resourceKey}, ${runStartedAt()} AS valid_to FROM (${deletedKeys})
+                `, [runId]);
+            }
+
+            const deleteResult = await connection.runAndReadAll(`
+                DELETE FROM ${tableName}
+                USING (${deletedKeys}) AS deleted
+                WHERE ${tableName}.${resourceKey} = deleted.${resourceKey};
+            `);
+            deleted = Number(deleteResult.getRows()[0][0]);
+            await connection.run('COMMIT;');
+        } catch (error) {
             await connection.run('ROLLBACK;');
+            throw error;
         }
-        errors += rows.length; // Count all rows as errors if the operation fails
-        logger.error('Error in upsertData:', error);
+
+        logger.info(`Deleted ${deleted} rows of ${ids.length} deleted resources from ${tableName}`);
+        return deleted;
+    } catch (error) {
+        logger.error('Error in deleteResources:', error);
         throw error;
     } finally {
         if (connection) {
+            await connection.run(`DROP TABLE IF EXISTS ${stagingTable};`).catch(() => {});
             await releaseConnection(connection);
         }
     }
+}
+
+const viewCatalogTable = '_view_catalog';
+
+/**
+ * Creates the view catalog table if it does not exist. It records, per materialized table, the
+ * ViewDefinition that built it and when.
+ * @param {object} connection - The DuckDB connection.
+ */
+async function ensureViewCatalog(connection) {
+    await connection.run(`
+        CREATE TABLE IF NOT EXISTS ${viewCatalogTable} (
+            table_name VARCHAR PRIMARY KEY,
+            file VARCHAR,
+            name VARCHAR,
+            url VARCHAR,
+            title VARCHAR,
+            description VARCHAR,
+            fhir_version VARCHAR,
+            definition_hash VARCHAR,
+            last_built TIMESTAMP
+        );
+    `);
+}
+
+/**
+ * Reads the view catalog entry of a table.
+ * @param {string} tableName - The name of the materialized table.
+ * @returns {Promise<object|null>} The catalog entry, or null if the table was never built.
+ */
+async function getViewCatalogEntry(tableName) {
+    const connection = await getConnection();
+    try {
+        await ensureViewCatalog(connection);
+        const result = await connection.runAndReadAll(
+            `SELECT table_name, file, name, url, title, description, fhir_version, definition_hash, CAST(last_built AS VARCHAR)
+             FROM ${viewCatalogTable} WHERE table_name = ?;`,
+            [tableName]
+        );
+        const [row] = result.getRows();
+        if (!row) {
+            return null;
+        }
+
+        const [, file, name, url, title, description, fhirVersion, definitionHash, lastBuilt] = row;
+        return { tableName, file, name, url, title, description, fhirVersion, definitionHash, lastBuilt };
+    } catch (error) {
+        logger.error('Error reading view catalog:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
+
+/**
+ * Records that a table was built from a ViewDefinition, replacing the previous catalog entry.
+ * @param {string} tableName - The name of the materialized table.
+ * @param {object} entry - The catalog entry.
+ * @param {string} entry.file - The path of the ViewDefinition file.
+ * @param {object} entry.metadata - The ViewDefinition metadata, as returned by the view parser.
+ * @param {string} entry.definitionHash - The content hash of the ViewDefinition.
+ */
+async function recordViewBuild(tableName, { file, metadata, definitionHash }) {
+    const connection = await getConnection();
+    try {
+        await ensureViewCatalog(connection);
+        const fhirVersion = metadata.fhirVersion ? [].concat(metadata.fhirVersion).join(', ') : null;
+        await connection.run(
+            `INSERT OR REPLACE INTO ${viewCatalogTable}
+             (table_name, file, name, url, title, description, fhir_version, definition_hash, last_built)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP);`,
+            [
+                tableName,
+                file,
+                metadata.name,
+                metadata.url ?? null,
+                metadata.title ?? null,
+                metadata.description ?? null,
+                fhirVersion,
+                definitionHash
+            ]
+        );
+    } catch (error) {
+        logger.error('Error recording view build:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
 
-    return { inserted, deleted, updated, errors };
+/**
+ * Drops a table and its id sequence, so the next createTable builds it from scratch.
+ * @param {string} tableName - The name of the table.
+ */
+async function dropTable(tableName) {
+    const connection = await getConnection();
+    try {
+        await connection.run(`DROP TABLE IF EXISTS ${tableName};`);
+        await connection.run(`DROP SEQUENCE IF EXISTS ${tableName}_id_seq;`);
+        logger.info(`Table "${tableName}" dropped.`);
+    } catch (error) {
+        logger.error('Error dropping table:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
 }
+
+const runsTable = '_runs';
+const runFilesTable = '_run_files';
+
+/**
+ * Creates the run ledger tables if they do not exist. `_runs` holds one row per run of the
+ * pipeline, `_run_files` one row per NDJSON file and view the run processed, with the counts the
+ * view produced from that file.
+ * @param {object} connection - The DuckDB connection.
+ */
+async function ensureRunLedger(connection) {
+    await connection.run(`
+        CREATE TABLE IF NOT EXISTS ${runsTable} (
+            run_id VARCHAR PRIMARY KEY,
+            started_at TIMESTAMP,
+            finished_at TIMESTAMP,
+            status VARCHAR,
+            config VARCHAR,
+            error VARCHAR
+        );
+    `);
+    await connection.run(`
+        CREATE TABLE IF NOT EXISTS ${runFilesTable} (
+            run_id VARCHAR,
+            file VARCHAR,
+            file_size BIGINT,
+            checksum VARCHAR,
+            table_name VARCHAR,
+            view_file VARCHAR,
+            definition_hash VARCHAR,
+            parsed INTEGER,
+            rows_generated INTEGER,
+            inserted INTEGER,
+            updated INTEGER,
+            deleted INTEGER,
+            errors INTEGER,
+            stale INTEGER,
+            processed_at TIMESTAMP,
+            PRIMARY KEY (run_id, file, table_name)
+        );
+    `);
+    // Ledgers created before upserts were version-aware have no stale column
+    await connection.run(`ALTER TABLE ${runFilesTable} ADD COLUMN IF NOT EXISTS stale INTEGER;`);
+}
+
+/**
+ * Records the start of a run.
+ * @param {string} runId - The id of the run.
+ * @param {object} configSnapshot - The configuration the run uses, stored as JSON.
+ */
+async function startRun(runId, configSnapshot) {
+    const connection = await getConnection();
+    try {
+        await ensureRunLedger(connection);
+        await connection.run(
+            `INSERT INTO ${runsTable} (run_id, started_at, status, config) VALUES (?, CURRENT_TIMESTAMP, 'running', ?);`,
+            [runId, JSON.stringify(configSnapshot)]
+        );
+    } catch (error) {
+        logger.error('Error recording run start:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
+
+/**
+ * Records the end of a run.
+ * @param {string} runId - The id of the run.
+ * @param {object} outcome - How the run ended.
+ * @param {string} outcome.status - The final status ("completed" or "failed").
+ * @param {string} outcome.error - The error that failed the run, if any.
+ */
+async function finishRun(runId, { status, error = null }) {
+    const connection = await getConnection();
+    try {
+        await connection.run(
+            `UPDATE ${runsTable} SET finished_at = CURRENT_TIMESTAMP, status = ?, error = ? WHERE run_id = ?;`,
+            [status, error, runId]
+        );
+    } catch (err) {
+        logger.error('Error recording run end:', err);
+        throw err;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
+
+/**
+ * Records what a view produced from an NDJSON file during a run.
+ * @param {string} runId - The id of the run.
+ * @param {object} entry - The file entry.
+ * @param {string} entry.file - The path of the NDJSON file.
+ * @param {number} entry.size - The size of the file in bytes.
+ * @param {string} entry.checksum - The SHA-256 checksum of the file.
+ * @param {string} entry.tableName - The table the view writes to.
+ * @param {string} entry.viewFile - The path of the ViewDefinition file.
+ * @param {string} entry.definitionHash - The content hash of the ViewDefinition.
+ * @param {object} entry.counts - The parsed, rowsGenerated, inserted, updated, deleted, errors and stale counts.
+ */
+async function recordRunFile(runId, { file, size, checksum, tableName, viewFile, definitionHash, counts }) {
+    const connection = await getConnection();
+    try {
+        await ensureRunLedger(connection);
+        await connection.run(
+            `INSERT OR REPLACE INTO ${runFilesTable}
+             (run_id, file, file_size, checksum, table_name, view_file, definition_hash,
+              parsed, rows_generated, inserted, updated, deleted, errors, stale, processed_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP);`,
+            [
+                runId,
+                file,
+                BigInt(size), // Numbers bind as INTEGER and would overflow for files over 2 GB
+                checksum,
+                tableName,
+                viewFile,
+                definitionHash,
+                counts.parsed,
+                counts.rowsGenerated,
+                counts.inserted,
+                counts.updated,
+                counts.deleted,
+                counts.errors,
+                counts.stale
+            ]
+        );
+    } catch (error) {
+        logger.error('Error recording run file:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
+
+/**
+ * Reads a run from the ledger, with the files it processed.
+ * @param {string} runId - The id of the run.
+ * @returns {Promise<object|null>} The run, or null if no run has that id.
+ */
+async function getRun(runId) {
+    const connection = await getConnection();
+    try {
+        await ensureRunLedger(connection);
+        const runResult = await connection.runAndReadAll(
+            `SELECT CAST(started_at AS VARCHAR), CAST(finished_at AS VARCHAR), status, config, error
+             FROM ${runsTable} WHERE run_id = ?;`,
+            [runId]
+        );
+        const [run] = runResult.getRows();
+        if (!run) {
+            return null;
+        }
+
+        const filesResult = await connection.runAndReadAll(
+            `SELECT file, file_size, checksum, table_name, view_file, definition_hash,
+                    parsed, rows_generated, inserted, updated, deleted, errors, stale
+             FROM ${runFilesTable} WHERE run_id = ? ORDER BY processed_at, file, table_name;`,
+            [runId]
+        );
+
+        const [startedAt, finishedAt, status, configJson, error] = run;
+        return {
+            runId,
+            startedAt,
+            finishedAt,
+            status,
+            config: JSON.parse(configJson),
+            error,
+            files: filesResult.getRows().map(([file, size, checksum, tableName, viewFile, definitionHash, ...counts]) => {
+                const [parsed, rowsGenerated, inserted, updated, deleted, errors, stale] = counts;
+                return {
+                    file,
+                    size: Number(size),
+                    checksum,
+                    tableName,
+                    viewFile,
+                    definitionHash,
+                    counts: { parsed, rowsGenerated, inserted, updated, deleted, errors, stale }
+                };
+            })
+        };
+    } catch (error) {
+        logger.error('Error reading run:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
+
+const fileStateTable = '_file_state';
+
+/**
+ * Creates the file state table if it does not exist. It records, per NDJSON file and table, the
+ * file as it was when the view last processed it, so unchanged files can be skipped.
+ * @param {object} connection - The DuckDB connection.
+ */
+async function ensureFileState(connection) {
+    await connection.run(`
+        CREATE TABLE IF NOT EXISTS ${fileStateTable} (
+            file VARCHAR,
+            table_name VARCHAR,
+            file_size BIGINT,
+            mtime TIMESTAMP,
+            checksum VARCHAR,
+            definition_hash VARCHAR,
+            run_id VARCHAR,
+            processed_at TIMESTAMP,
+            PRIMARY KEY (file, table_name)
+        );
+    `);
+}
+
+/**
+ * Reads the recorded state of an NDJSON file for every table it was processed into.
+ * @param {string} file - The path of the NDJSON file.
+ * @returns {Promise<Map<string, {size: number, mtime: number, checksum: string, definitionHash: string, runId: string}>>}
+ *   The state per table name, with mtime in milliseconds since the epoch and the id of the run that processed the file.
+ */
+async function getFileStates(file) {
+    const connection = await getConnection();
+    try {
+        await ensureFileState(connection);
+        const result = await connection.runAndReadAll(
+            `SELECT table_name, file_size, epoch_ms(mtime), checksum, definition_hash, run_id
+             FROM ${fileStateTable} WHERE file = ?;`,
+            [file]
+        );
+        return new Map(result.getRows().map(([tableName, size, mtime, checksum, definitionHash, runId]) => [
+            tableName,
+            { size: Number(size), mtime: Number(mtime), checksum, definitionHash, runId }
+        ]));
+    } catch (error) {
+        logger.error('Error reading file state:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
+
+/**
+ * Records the state of an NDJSON file once a view has processed it, replacing the previous state.
+ * @param {string} file - The path of the NDJSON file.
+ * @param {string} tableName - The table the view writes to.
+ * @param {object} state - The file state.
+ * @param {number} state.size - The size of the file in bytes.
+ * @param {number} state.mtime - The modification time of the file, in milliseconds since the epoch.
+ * @param {string} state.checksum - The SHA-256 checksum of the file.
+ * @param {string} state.definitionHash - The content hash of the ViewDefinition that processed it.
+ * @param {string} state.runId - The id of the run that processed it.
+ */
+async function recordFileState(file, tableName, { size, mtime, checksum, definitionHash, runId = null }) {
+    const connection = await getConnection();
+    try {
+        await ensureFileState(connection);
+        await connection.run(
+            `INSERT OR REPLACE INTO ${fileStateTable}
+             (file, table_name, file_size, mtime, checksum, definition_hash, run_id, processed_at)
+             VALUES (?, ?, ?, epoch_ms(CAST(? AS BIGINT)), ?, ?, ?, CURRENT_TIMESTAMP);`,
+            [file, tableName, BigInt(size), BigInt(Math.floor(mtime)), checksum, definitionHash, runId]
+        );
+    } catch (error) {
+        logger.error('Error recording file state:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
+
+/**
+ * Forgets which files a table was built from, so every file is processed into it again.
+ * @param {string} tableName - The name of the table.
+ */
+async function clearFileStates(tableName) {
+    const connection = await getConnection();
+    try {
+        await ensureFileState(connection);
+        await connection.run(`DELETE FROM ${fileStateTable} WHERE table_name = ?;`, [tableName]);
+    } catch (error) {
+        logger.error('Error clearing file state:', error);
+        throw error;
+    } finally {
+        await releaseConnection(connection);
+    }
+}
+
 /**
  * Retrieves the database handler, initializing the DuckDB instance if necessary.
  * @returns {Promise<{createTable: function, upsertData: function, tableExists: function}>} The database handler.
@@ -289,14 +1329,44 @@ async function getDatabaseHandler() {
     return {
         createTable,
         upsertData,
+        deleteResources,
+        recordDeletedResources,
+        createHistoryTable,
         tableExists,
+        dropTable,
+        getViewCatalogEntry,
+        recordViewBuild,
+        startRun,
+        finishRun,
+        recordRunFile,
+        getRun,
+        getFileStates,
+        recordFileState,
+        clearFileStates,
         getConnection, // Expose getConnection
         releaseConnection // Expose releaseConnection
     };
 }
 
 // Export individual functions
-export { createTable, upsertData, tableExists };
+export {
+    createTable,
+    upsertData,
+    deleteResources,
+    recordDeletedResources,
+    createHistoryTable,
+    tableExists,
+    dropTable,
+    getViewCatalogEntry,
+    recordViewBuild,
+    startRun,
+    finishRun,
+    recordRunFile,
+    getRun,
+    getFileStates,
+    recordFileState,
+    clearFileStates
+};
 
 // Export the default handler
 export default getDatabaseHandler;
\ No newline at end of file
@@ -0,0 +1,18 @@
+import { parentPort, workerData } from 'worker_threads';
+import { createEvaluationContext, evaluateLines, takeStats } from './ndjsonProcessor.js';
+
+// Each worker compiles the views once and reuses them for every chunk it is sent
+const views = workerData.views.map(({ columns, whereClauses, resource, constants, select, name, strict, fhirVersion }) => ({
+    columns,
+    whereClauses,
+    resource,
+    select,
+    context: createEvaluationContext(constants, { name, strict, fhirVersion })
+}));
+
+parentPort.on('message', ({ id, lines, viewIndexes }) => {
+    const chunkViews = viewIndexes.map(index => views[index]);
+    const records = evaluateLines(lines, chunkViews);
+    const stats = chunkViews.map(view => takeStats(view.context));
+    parentPort.postMessage({ id, records, stats });
+});
\ No newline at end of file
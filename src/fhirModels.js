@@ -0,0 +1,64 @@
+import { createRequire } from 'module';
+import config from './config.js';
+
+const require = createRequire(import.meta.url);
+
+// fhirpath model per FHIR release. fhirpath.js ships no R4B model; R4B shares the R4 data types
+// and only adds or changes a handful of resources, so it is evaluated with the R4 model.
+const releaseModels = {
+    DSTU2: 'fhirpath/fhir-context/dstu2/index.js',
+    STU3: 'fhirpath/fhir-context/stu3/index.js',
+    R4: 'fhirpath/fhir-context/r4/index.js',
+    R4B: 'fhirpath/fhir-context/r4/index.js',
+    R5: 'fhirpath/fhir-context/r5/index.js'
+};
+
+// FHIR version codes (as used in ViewDefinition.fhirVersion) mapped to their release
+const versionReleases = [
+    { pattern: /^1\.0(\.|$)/, release: 'DSTU2' },
+    { pattern: /^3\.0(\.|$)/, release: 'STU3' },
+    { pattern: /^4\.0(\.|$)/, release: 'R4' },
+    { pattern: /^4\.3(\.|$)/, release: 'R4B' },
+    { pattern: /^5\.0(\.|$)/, release: 'R5' }
+];
+
+const loadedModels = {};
+
+/**
+ * Maps a FHIR version code ("4.0.1") or release name ("R4", "r5") to a release name.
+ * @param {string} version - The FHIR version code or release name.
+ * @returns {string|null} The release name, or null if the version is not supported.
+ */
+function toRelease(version) {
+    const value = String(version).trim();
+    if (releaseModels[value.toUpperCase()]) {
+        return value.toUpperCase();
+    }
+
+    const match = versionReleases.find(({ pattern }) => pattern.test(value));
+    return match ? match.release : null;
+}
+
+/**
+ * Resolves the fhirpath model for a ViewDefinition's fhirVersion, falling back to the
+ * run-level FHIR_VERSION default when the view does not declare one.
+ * @param {string|Array<string>} fhirVersion - The ViewDefinition fhirVersion (first supported entry wins).
+ * @returns {{release: string, model: object}} The FHIR release and its fhirpath model.
+ */
+function resolveFhirModel(fhirVersion) {
+    const versions = [].concat(fhirVersion || []);
+    const candidates = versions.length > 0 ? versions : [config.fhirVersion];
+
+    const release = candidates.map(toRelease).find(Boolean);
+    if (!release) {
+        throw new Error(`Unsupported FHIR version: ${candidates.join(', ')}. Supported releases: ${Object.keys(releaseModels).join(', ')}`);
+    }
+
+    if (!loadedModels[release]) {
+        loadedModels[release] = require(releaseModels[release]);
+    }
+
+    return { release, model: loadedModels[release] };
+}
+
+export { resolveFhirModel };
\ No newline at end of file
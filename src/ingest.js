@@ -0,0 +1,383 @@
+import fs from 'fs';
+import path from 'path';
+import { parseViewDefinition } from './viewParser.js';
+import { processNdjsonViews, readDeletedResources, createEvaluationContext, getPathTimings } from './ndjsonProcessor.js';
+import { createWorkerPool } from './workerPool.js';
+import { hashViewDefinition, hashFile } from './utils.js';
+import config from './config.js';
+
+// Folder of the bulk export holding the `deleted` output: NDJSON Bundles of DELETE entries
+const deletedFolderName = 'deleted';
+
+/**
+ * Scans the bulk export directory and returns a map of resource folders and their corresponding NDJSON files.
+ * @param {string} bulkExportDir - Path to the bulk export directory.
+ * @returns {Object} - A map where keys are resource folder names and values are arrays of NDJSON file paths.
+ */
+function scanBulkExportDirectory(bulkExportDir) {
+    const resourceFolders = fs.readdirSync(bulkExportDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .map(dirent => dirent.name);
+
+    const resourceToNdjsonMap = {};
+
+    resourceFolders.forEach(folder => {
+        const folderPath = path.join(bulkExportDir, folder);
+        const ndjsonFiles = fs.readdirSync(folderPath)
+            .filter(file => file.endsWith('.ndjson'))
+            .map(file => path.join(folderPath, file));
+
+        if (ndjsonFiles.length > 0) {
+            resourceToNdjsonMap[folder] = ndjsonFiles;
+        }
+    });
+
+    return resourceToNdjsonMap;
+}
+
+/**
+ * Finds ViewDefinitions that match the given resource folder name.
+ * @param {string} viewsDir - Path to the Views directory.
+ * @param {string} resourceFolderName - Name of the resource folder (e.g., "AllergyIntolerance").
+ * @returns {Array} - Array of matching ViewDefinition file paths.
+ */
+function findMatchingViewDefinitions(viewsDir, resourceFolderName) {
+    const viewFiles = fs.readdirSync(viewsDir)
+        .filter(file => file.startsWith(`${resourceFolderName}_`) && file.endsWith('.json'));
+
+    return viewFiles.map(file => path.join(viewsDir, file));
+}
+
+/**
+ * Reads the counts a view has accumulated, in the shape of the run ledger.
+ * @param {Object} view - The view being processed.
+ * @returns {Object} The parsed, rowsGenerated, inserted, updated, deleted, errors and stale counts.
+ */
+function countViewResults({ summary, upsertResult }) {
+    return {
+        parsed: summary.parsedRecords,
+        rowsGenerated: summary.rowsGenerated,
+        inserted: upsertResult.inserted,
+        updated: upsertResult.updated,
+        deleted: upsertResult.deleted,
+        errors: upsertResult.errors,
+        stale: upsertResult.stale
+    };
+}
+
+/**
+ * Finds the views an NDJSON file has to be processed for: those that never processed it, whose
+ * ViewDefinition changed since, or for which the file changed. A file whose size and mtime match
+ * the recorded state is unchanged; otherwise its checksum decides, and a file that was only
+ * touched has its recorded mtime refreshed.
+ * @param {string} ndjsonFile - The path of the NDJSON file.
+ * @param {fs.Stats} fileStats - The file's stats.
+ * @param {Array} views - The views of the resource folder.
+ * @param {Object} dbHandler - Database handler instance.
+ * @returns {Promise<{views: Array, checksum: string|undefined}>} The views to process the file for,
+ *   and the file's checksum if it had to be computed.
+ */
+async function findViewsToProcess(ndjsonFile, fileStats, views, dbHandler) {
+    const fileStates = await dbHandler.getFileStates(ndjsonFile);
+    const mtime = Math.floor(fileStats.mtimeMs);
+    const changedViews = [];
+    let checksum;
+
+    for (const view of views) {
+        const state = fileStates.get(view.tableName);
+        if (!state || state.definitionHash !== view.definitionHash) {
+            changedViews.push(view);
+            continue;
+        }
+        if (state.size === fileStats.size && state.mtime === mtime) {
+            continue;
+        }
+
+        checksum = checksum || await hashFile(ndjsonFile);
+        if (state.checksum !== checksum) {
+            changedViews.push(view);
+        } else {
+            // Only the mtime changed, the file still counts as processed by the same run
+            await dbHandler.recordFileState(ndjsonFile, view.tableName, { ...state, mtime });
+        }
+    }
+
+    return { views: changedViews, checksum };
+}
+
+/**
+ * Records that a view processed a file, in the run ledger and in the file state store.
+ * @param {Object} dbHandler - Database handler instance.
+ * @param {string} runId - The id of the run.
+ * @param {string} file - The path of the processed file.
+ * @param {fs.Stats} fileStats - The file's stats.
+ * @param {string} checksum - The file's checksum.
+ * @param {Object} view - The view that processed the file.
+ * @param {Object} counts - What the view produced from the file (see countViewResults).
+ */
+async function recordProcessedFile(dbHandler, runId, file, fileStats, checksum, view, counts) {
+    await dbHandler.recordRunFile(runId, {
+        file,
+        size: fileStats.size,
+        checksum,
+        tableName: view.tableName,
+        viewFile: view.viewDefinitionFile,
+        definitionHash: view.definitionHash,
+        counts
+    });
+    await dbHandler.recordFileState(file, view.tableName, {
+        size: fileStats.size,
+        mtime: fileStats.mtimeMs,
+        checksum,
+        definitionHash: view.definitionHash,
+        runId
+    });
+}
+
+/**
+ * Processes all NDJSON files in a resource folder using the matching ViewDefinitions.
+ * Each NDJSON file is read and parsed once, and every resource is fed to all the views.
+ * Deletions from the bulk export are applied afterwards, removing the deleted resources' rows
+ * from every view table and recording them as deleted in the resource versions table. Files a view already processed, unchanged since, are skipped for that view.
+ * @param {string} resourceFolderName - Name of the resource folder (e.g., "AllergyIntolerance").
+ * @param {Array} ndjsonFiles - Array of NDJSON file paths in the folder.
+ * @param {Array} viewDefinitionFiles - Array of matching ViewDefinition file paths.
+ * @param {Object} dbHandler - Database handler instance.
+ * @param {string} runId - The id of the run, recorded on every row written and in the run ledger.
+ * @param {Array<{file: string, ids: Array<string>}>} deletions - The deletion files listing resources
+ *   of this type, with the ids of the deleted resources.
+ */
+async function processResourceFolder(resourceFolderName, ndjsonFiles, viewDefinitionFiles, dbHandler, runId, deletions = []) {
+    const views = viewDefinitionFiles.map(viewDefinitionFile => {
+        console.log(`Processing ViewDefinition: ${viewDefinitionFile}`);
+
+        const viewDefinitionContent = fs.readFileSync(viewDefinitionFile, 'utf8');
+        const viewDefinition = JSON.parse(viewDefinitionContent);
+
+        const { metadata, columns, whereClauses, resource, constants, select } = parseViewDefinition(viewDefinition);
+
+        return {
+            viewDefinition,
+            viewDefinitionFile,
+            metadata,
+            definitionHash: hashViewDefinition(viewDefinition),
+            columns,
+            whereClauses,
+            resource,
+            constants,
+            select,
+            name: metadata.name,
+            fhirVersion: metadata.fhirVersion,
+            summary: { totalRecords: 0, parsedRecords: 0, invalidRecords: 0, rowsGenerated: 0, warnings: 0 },
+            // One context per view, so every path is compiled once for all NDJSON files
+            context: createEvaluationContext(constants, { name: metadata.name, fhirVersion: metadata.fhirVersion }),
+            upsertResult: { inserted: 0, updated: 0, deleted: 0, errors: 0, stale: 0 },
+            skippedFiles: 0
+        };
+    });
+
+    // Views whose table could not be created or migrated are skipped, the others still run
+    const readyViews = [];
+    for (const view of views) {
+        const tableName = view.viewDefinition.name.toLowerCase();
+        const resourceKey = `${view.resource.toLowerCase()}_id`; // Determine the resource key dynamically
+        const history = config.historyViews.includes(tableName);
+
+        let tableResult;
+        try {
+            // A changed definition means the rows in the table may come from an older version of the view
+            const catalogEntry = await dbHandler.getViewCatalogEntry(tableName);
+            if (config.fullRebuild) {
+                console.log(`Full rebuild requested, rebuilding table ${tableName} from every NDJSON file`);
+                await dbHandler.dropTable(tableName);
+            } else if (catalogEntry && catalogEntry.definitionHash !== view.definitionHash) {
+                if (config.rebuildOnViewChange) {
+                    console.warn(`ViewDefinition "${view.viewDefinition.name}" changed since ${catalogEntry.lastBuilt}, rebuilding table ${tableName}`);
+                    await dbHandler.dropTable(tableName);
+                } else {
+                    console.warn(`ViewDefinition "${view.viewDefinition.name}" changed since table ${tableName} was built on ${catalogEntry.lastBuilt} (from ${catalogEntry.file}). Set REBUILD_ON_VIEW_CHANGE=true to rebuild it.`);
+                }
+            }
+
+            tableResult = await dbHandler.createTable(tableName, view.columns, resourceKey); // Pass the resource key to createTable
+
+            // A new or rebuilt table holds none of the files recorded for it
+            if (tableResult.created || tableResult.rebuilt) {
+                await dbHandler.clearFileStates(tableName);
+            }
+
+            if (history) {
+                const historyMigrations = await dbHandler.createHistoryTable(tableName);
+                historyMigrations.forEach(migration => console.log(`Migrated table ${tableName}_history: ${migration}`));
+            }
+        } catch (err) {
+            console.error(`Skipping ViewDefinition "${view.viewDefinition.name}": ${err.message}`);
+            continue;
+        }
+
+        const { rebuilt, migrations } = tableResult;
+        if (rebuilt) {
+            console.warn(`Rebuilt table ${tableName} for destructive schema changes: ${migrations.join('; ')}`);
+        } else {
+            migrations.forEach(migration => console.log(`Migrated table ${tableName}: ${migration}`));
+        }
+
+        // Rows are written in BATCH_SIZE chunks as they are generated, never held for a whole file
+        view.onRows = async (rows, versions) => {
+            const result = await dbHandler.upsertData(tableName, rows, resourceKey, { runId, versions, history, resourceType: view.resource });
+            view.upsertResult.inserted += result.inserted;
+            view.upsertResult.updated += result.updated;
+            view.upsertResult.errors += result.errors;
+            view.upsertResult.stale += result.stale;
+        };
+        view.tableName = tableName;
+        view.resourceKey = resourceKey;
+        view.history = history;
+        readyViews.push(view);
+    }
+
+    if (readyViews.length === 0) {
+        return;
+    }
+
+    // With async processing, FHIRPath evaluation runs on CONCURRENCY_LIMIT worker threads
+    const pool = config.asyncProcessing && ndjsonFiles.length > 0
+        ? createWorkerPool(readyViews, config.concurrencyLimit)
+        : undefined;
+
+    try {
+        // Process all NDJSON files for this resource folder, each in a single pass over all views
+        for (const ndjsonFile of ndjsonFiles) {
+            const fileStats = fs.statSync(ndjsonFile);
+            const { views: fileViews, checksum: knownChecksum } = await findViewsToProcess(ndjsonFile, fileStats, readyViews, dbHandler);
+
+            readyViews.filter(view => !fileViews.includes(view)).forEach(view => view.skippedFiles++);
+            if (fileViews.length === 0) {
+                console.log(`Skipping unchanged NDJSON file: ${ndjsonFile}`);
+                continue;
+            }
+
+            console.log(`Processing NDJSON file: ${ndjsonFile}`);
+            const checksum = knownChecksum || await hashFile(ndjsonFile);
+
+            // Counts are cumulative over the folder, so the file's share is the difference
+            const before = fileViews.map(view => countViewResults(view));
+            await processNdjsonViews(ndjsonFile, fileViews, { pool });
+
+            for (const [index, view] of fileViews.entries()) {
+                const after = countViewResults(view);
+                const counts = Object.fromEntries(Object.entries(after).map(([key, value]) => [key, value - before[index][key]]));
+                await recordProcessedFile(dbHandler, runId, ndjsonFile, fileStats, checksum, view, counts);
+            }
+        }
+    } finally {
+        if (pool) {
+            await pool.close();
+        }
+    }
+
+    // Resources deleted upstream are removed from every view table of their type
+    for (const { file, ids } of deletions) {
+        const fileStats = fs.statSync(file);
+        const { views: fileViews, checksum: knownChecksum } = await findViewsToProcess(file, fileStats, readyViews, dbHandler);
+
+        readyViews.filter(view => !fileViews.includes(view)).forEach(view => view.skippedFiles++);
+        if (fileViews.length === 0) {
+            console.log(`Skipping unchanged deletion file: ${file}`);
+            continue;
+        }
+
+        console.log(`Applying ${ids.length} ${resourceFolderName} deletions from: ${file}`);
+        const checksum = knownChecksum || await hashFile(file);
+
+        // The tombstones keep reprocessed NDJSON files from loading the deleted versions again
+        await dbHandler.recordDeletedResources(resourceFolderName, ids, { runId });
+
+        for (const view of fileViews) {
+            const deleted = await dbHandler.deleteResources(view.tableName, view.resourceKey, ids, { runId, history: view.history });
+            view.upsertResult.deleted += deleted;
+            await recordProcessedFile(dbHandler, runId, file, fileStats, checksum, view, {
+                parsed: ids.length,
+                rowsGenerated: 0,
+                inserted: 0,
+                updated: 0,
+                deleted,
+                errors: 0,
+                stale: 0
+            });
+        }
+    }
+
+    for (const { viewDefinition, viewDefinitionFile, metadata, definitionHash } of readyViews) {
+        await dbHandler.recordViewBuild(viewDefinition.name.toLowerCase(), {
+            file: viewDefinitionFile,
+            metadata,
+            definitionHash
+        });
+    }
+
+    for (const { viewDefinition, summary, context, upsertResult, skippedFiles } of readyViews) {
+        console.log(`\nSummary for ViewDefinition "${viewDefinition.name}":`);
+        console.log(`- Records Parsed: ${summary.rowsGenerated}`);
+        console.log(`- Records Inserted: ${upsertResult.inserted}`);
+        console.log(`- Records Updated: ${upsertResult.updated}`);
+        console.log(`- Records Deleted: ${upsertResult.deleted}`);
+        console.log(`- Stale Resources Skipped: ${upsertResult.stale}`);
+        console.log(`- Errors: ${upsertResult.errors}`);
+        console.log(`- Invalid Resources: ${summary.invalidRecords}`);
+        console.log(`- Unchanged Files Skipped: ${skippedFiles}`);
+        console.log(`- Warnings: ${summary.warnings}`);
+        console.log('- Slowest Paths:');
+        getPathTimings(context, 3).forEach(({ path: fhirPath, evaluations, totalTime }) => {
+            console.log(`  ${totalTime.toFixed(1)}ms over ${evaluations} evaluations: ${fhirPath.replace(/\s+/g, ' ')}`);
+        });
+        console.log('----------------------------------------');
+    }
+}
+
+/**
+ * Loads a bulk export into the database: every resource folder is processed with its matching
+ * ViewDefinitions, and the `deleted` folder's deletions are applied to the view tables of their
+ * resource types.
+ * @param {string} bulkExportDir - Path to the bulk export directory.
+ * @param {string} viewsDir - Path to the ViewDefinitions directory.
+ * @param {Object} dbHandler - Database handler instance.
+ * @param {string} runId - The id of the run, recorded on every row written and in the run ledger.
+ */
+async function ingestBulkExport(bulkExportDir, viewsDir, dbHandler, runId) {
+    // Scan the bulk export directory to get resource folders and their NDJSON files
+    const { [deletedFolderName]: deletedFiles = [], ...resourceToNdjsonMap } = scanBulkExportDirectory(bulkExportDir);
+
+    // Read the deletions up front: a resource type may have deletions but no NDJSON files
+    const deletionFiles = [];
+    for (const file of deletedFiles) {
+        deletionFiles.push({ file, deletions: await readDeletedResources(file) });
+    }
+    const resourceFolderNames = new Set([
+        ...Object.keys(resourceToNdjsonMap),
+        ...deletionFiles.flatMap(({ deletions }) => [...deletions.keys()])
+    ]);
+
+    // Process each resource folder
+    for (const resourceFolderName of resourceFolderNames) {
+        const ndjsonFiles = resourceToNdjsonMap[resourceFolderName] || [];
+        const deletions = deletionFiles
+            .filter(({ deletions: fileDeletions }) => fileDeletions.has(resourceFolderName))
+            .map(({ file, deletions: fileDeletions }) => ({ file, ids: fileDeletions.get(resourceFolderName) }));
+
+        console.log(`Processing resource folder: ${resourceFolderName}`);
+
+        // Find matching ViewDefinitions for this resource folder
+        const viewDefinitionFiles = findMatchingViewDefinitions(viewsDir, resourceFolderName);
+
+        if (viewDefinitionFiles.length === 0) {
+            console.warn(`No matching ViewDefinitions found for resource folder: ${resourceFolderName}`);
+            continue;
+        }
+
+        // Process all NDJSON files in this folder using the matching ViewDefinitions
+        await processResourceFolder(resourceFolderName, ndjsonFiles, viewDefinitionFiles, dbHandler, runId, deletions);
+    }
+}
+
+export { ingestBulkExport, processResourceFolder, findViewsToProcess };
\ No newline at end of file
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateViewDefinition } from './viewValidator.js';
+import config from './config.js';
+
+/**
+ * Validates every ViewDefinition file in a folder.
+ * @param {string} viewsDir - Path to the folder holding the ViewDefinition JSON files.
+ * @returns {Array<{file: string, errors: Array<{pointer: string, message: string}>}>} The errors found per file.
+ */
+function lintViewDefinitions(viewsDir) {
+    return fs.readdirSync(viewsDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            let viewDefinition;
+            try {
+                viewDefinition = JSON.parse(fs.readFileSync(path.join(viewsDir, file), 'utf8'));
+            } catch (error) {
+                return { file, errors: [{ pointer: '/', message: `Invalid JSON: ${error.message}` }] };
+            }
+
+            // One file the validator cannot handle must not hide the report of the others
+            try {
+                return { file, errors: validateViewDefinition(viewDefinition) };
+            } catch (error) {
+                return { file, errors: [{ pointer: '/', message: `Validation failed: ${error.message}` }] };
+            }
+        });
+}
+
+async function main() {
+    try {
+        const viewsDir = path.resolve(process.argv[2] || config.viewDefinitionsFolder);
+        const results = lintViewDefinitions(viewsDir);
+
+        let errorCount = 0;
+        results.forEach(({ file, errors }) => {
+            errors.forEach(({ pointer, message }) => console.log(`${file}: ${pointer} ${message}`));
+            errorCount += errors.length;
+        });
+
+        const invalidFiles = results.filter(({ errors }) => errors.length > 0).length;
+        console.log('\nViewDefinition Lint Summary:');
+        console.log(`- Files Checked: ${results.length}`);
+        console.log(`- Invalid Files: ${invalidFiles}`);
+        console.log(`- Errors: ${errorCount}`);
+        console.log('----------------------------------------');
+
+        process.exitCode = errorCount > 0 ? 1 : 0;
+    } catch (err) {
+        console.error('Error in ViewDefinition lint:', err.message);
+        console.error('Error stack:', err.stack);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export { lintViewDefinitions };
\ No newline at end of file
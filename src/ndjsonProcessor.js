@@ -1,57 +1,137 @@
 import fs from 'fs';
 import readline from 'readline'; // Use readline to process the file line by line
+import { createRequire } from 'module';
 import fhirpath from 'fhirpath';
-import fhirpath_r4_model from 'fhirpath/fhir-context/r4/index.js';
 import config from './config.js';
 import logger from './logger.js';
-import { logFailedRecord } from './utils.js';
-
-// Define custom functions for FHIRPath evaluation
-const customFunctions = {
-    getResourceKey: {
-        fn: (inputs) => {
-            // inputs is an array of resources or references
-            return inputs.map((resource) => resource.id || null);
+import { resolveFhirModel } from './fhirModels.js';
+import { logFailedRecord, parseReference } from './utils.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Creates the custom functions for FHIRPath evaluation.
+ * @param {object} scope - Holds the resource currently being evaluated, set by evaluateResource.
+ * @returns {object} The custom functions.
+ */
+function createCustomFunctions(scope) {
+    return {
+        getResourceKey: {
+            fn: () => {
+                // Always resolve against the enclosing resource, even inside a forEach
+                return scope.resource && scope.resource.id ? [scope.resource.id] : [];
+            },
+            arity: { 0: [] }, // No parameters
         },
-        arity: { 0: [] }, // No parameters
-    },
-    getReferenceKey: {
-        fn: (inputs, resourceType) => {
-            // inputs is an array of references
-            if (!inputs || inputs.length === 0) return [];
-
-            const reference = inputs[0];
-            if (!reference.reference) return [];
-
-            // Extract the reference ID (e.g., "Patient/123" -> "123")
-            const referenceId = reference.reference.split('/')[1];
-
-            // If a resourceType is provided, validate the reference type
-            if (resourceType && !reference.reference.startsWith(resourceType)) {
-                return []; // Return empty collection if the reference type doesn't match
-            }
+        getReferenceKey: {
+            fn: (inputs, resourceType) => {
+                // inputs is an array of references
+                if (!inputs || inputs.length === 0) return [];
+
+                return inputs.flatMap(reference => {
+                    if (!reference || !reference.reference) return [];
+
+                    // Extract the reference ID (e.g., "Patient/123/_history/2" -> "123")
+                    const parsed = parseReference(reference.reference);
+                    if (!parsed) return [];
+
+                    let type = parsed.type || reference.type || null;
+                    if (!type && parsed.contained && scope.resource && scope.resource.contained) {
+                        const containedResource = scope.resource.contained.find(contained => contained.id === parsed.id);
+                        type = containedResource ? containedResource.resourceType : null;
+                    }
+
+                    // If a resourceType is provided, the reference type must match it exactly.
+                    // References without any type information (e.g. bare urn:uuid) cannot be rejected.
+                    if (resourceType && type && type !== resourceType) {
+                        return []; // Return empty collection if the reference type doesn't match
+                    }
 
-            return [referenceId]; // Return the reference ID
+                    return [parsed.id]; // Return the reference ID
+                });
+            },
+            arity: { 0: [], 1: ['String'] }, // Optional resourceType parameter
         },
-        arity: { 0: [], 1: ['String'] }, // Optional resourceType parameter
-    },
+    };
+}
+
+// FHIRPath conversion functions for constants whose JSON value is a string but must compare as a
+// temporal value; FHIRPath has no instant type of its own, so instants convert as dateTimes
+const temporalConversions = {
+    date: 'toDate',
+    datetime: 'toDateTime',
+    instant: 'toDateTime',
+    time: 'toTime'
 };
 
 /**
- * Creates constant functions for FHIRPath evaluation.
- * @param {Array} constants - The constants to create functions for.
- * @returns {object} The constant functions.
+ * Loads the fhirpath.js classes of the temporal constant types. fhirpath.js does not export them,
+ * so they are read from its internal types module, which a release may move or change.
+ * @returns {object|null} The classes keyed by constant type, or null when the module does not provide them.
+ */
+function loadTemporalTypes() {
+    try {
+        const { FP_Date, FP_DateTime, FP_Instant, FP_Time } = require('fhirpath/src/types.js');
+        const types = { date: FP_Date, datetime: FP_DateTime, instant: FP_Instant, time: FP_Time };
+        if (Object.values(types).every(type => typeof type === 'function')) {
+            return types;
+        }
+    } catch (error) {
+        logger.debug(`fhirpath.js temporal types unavailable, converting constants with FHIRPath: ${error.message}`);
+    }
+    return null;
+}
+
+const temporalConstantTypes = loadTemporalTypes();
+
+/**
+ * Converts the string value of a temporal constant to the FHIRPath type it compares as, falling
+ * back to FHIRPath's own conversion functions when the fhirpath.js classes cannot be loaded.
+ * @param {string} type - The constant type (date, datetime, instant or time).
+ * @param {string} value - The constant value.
+ * @returns {object} The temporal value, or the string itself if it does not convert.
+ */
+function toTemporalValue(type, value) {
+    if (temporalConstantTypes) {
+        return new temporalConstantTypes[type](value);
+    }
+
+    const [converted] = fhirpath.evaluate({}, `%value.${temporalConversions[type]}()`, { value }, null, { resolveInternalTypes: false });
+    return converted === undefined ? value : converted;
+}
+
+/**
+ * Creates the FHIRPath environment variables for ViewDefinition constants, referenced as %name.
+ * @param {Array} constants - The constants extracted by the view parser.
+ * @returns {object} The environment variables, keyed by constant name.
  */
-function createConstantFunctions(constants) {
+function createConstantVariables(constants) {
     return constants.reduce((acc, constant) => {
-        acc[constant.name] = {
-            fn: () => [constant.value],
-            arity: { 0: [] }
-        };
+        acc[constant.name] = temporalConversions[constant.type]
+            ? toTemporalValue(constant.type, constant.value)
+            : constant.value;
         return acc;
     }, {});
 }
 
+/**
+ * Returns the compiled form of a FHIRPath expression, compiling it on first use. Compiled
+ * expressions live on the evaluation context, so each path of a view is parsed only once
+ * however many resources and files the view is evaluated against.
+ * @param {string} path - The FHIRPath expression.
+ * @param {object} context - The evaluation context.
+ * @returns {Function} The compiled expression, called with (resource, envVars).
+ */
+function compileFhirPath(path, context) {
+    let compiled = context.expressions.get(path);
+    if (!compiled) {
+        compiled = fhirpath.compile(path, context.model, { userInvocationTable: context.userInvocationTable });
+        context.expressions.set(path, compiled);
+        context.stats.paths[path] = { evaluations: 0, totalTime: 0 };
+    }
+    return compiled;
+}
+
 /**
  * Evaluates a FHIRPath expression on a resource.
  * @param {object} resource - The FHIR resource.
@@ -61,13 +141,14 @@ function createConstantFunctions(constants) {
  */
 function evaluateFhirPath(resource, path, context) {
     try {
-        const result = fhirpath.evaluate(
-            resource,
-            path,
-            null,
-            fhirpath_r4_model,
-            context
-        );
+        const compiled = compileFhirPath(path, context);
+        const startTime = performance.now();
+        const result = compiled(resource, context.vars || null);
+
+        const pathStats = context.stats.paths[path];
+        pathStats.evaluations++;
+        pathStats.totalTime += performance.now() - startTime;
+
         logger.debug(`Evaluated path "${path}": ${JSON.stringify(result, null, 2)}`);
         return result;
     } catch (err) {
@@ -77,20 +158,166 @@ function evaluateFhirPath(resource, path, context) {
     }
 }
 
+/**
+ * Lists the FHIRPath expressions of a view by total evaluation time, slowest first.
+ * @param {object} context - The evaluation context.
+ * @param {number} limit - The maximum number of paths to return.
+ * @returns {Array<{path: string, evaluations: number, totalTime: number}>} The path timings, in milliseconds.
+ */
+function getPathTimings(context, limit = Infinity) {
+    return Object.entries(context.stats.paths)
+        .map(([path, { evaluations, totalTime }]) => ({ path, evaluations, totalTime }))
+        .sort((a, b) => b.totalTime - a.totalTime)
+        .slice(0, limit);
+}
+
+/**
+ * Returns the warnings and path timings gathered by a context since the last call, and resets them.
+ * Evaluation workers use it to report the statistics of each chunk back to the main thread.
+ * @param {object} context - The evaluation context.
+ * @returns {{warnings: number, paths: object}} The statistics gathered since the last call.
+ */
+function takeStats(context) {
+    const stats = { warnings: context.stats.warnings, paths: {} };
+    Object.entries(context.stats.paths).forEach(([path, pathStats]) => {
+        stats.paths[path] = { ...pathStats };
+        pathStats.evaluations = 0;
+        pathStats.totalTime = 0;
+    });
+    context.stats.warnings = 0;
+    return stats;
+}
+
+/**
+ * Adds statistics reported by takeStats to a context.
+ * @param {object} context - The evaluation context.
+ * @param {{warnings: number, paths: object}} stats - The statistics to add.
+ */
+function mergeStats(context, stats) {
+    context.stats.warnings += stats.warnings;
+    Object.entries(stats.paths).forEach(([path, { evaluations, totalTime }]) => {
+        const pathStats = context.stats.paths[path] || (context.stats.paths[path] = { evaluations: 0, totalTime: 0 });
+        pathStats.evaluations += evaluations;
+        pathStats.totalTime += totalTime;
+    });
+}
+
+/**
+ * Coerces a single column value to the column's declared type.
+ * @param {*} value - The value returned by the FHIRPath expression.
+ * @param {string} type - The declared column type (e.g. "integer", "dateTime").
+ * @returns {*} The coerced value.
+ * @throws {Error} If the value does not match the declared type.
+ */
+function coerceValue(value, type) {
+    switch (type) {
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 'false') return value === 'true';
+            break;
+        case 'integer':
+        case 'positiveInt':
+        case 'unsignedInt':
+        case 'integer64':
+            if (Number.isInteger(value)) return value;
+            if (typeof value === 'string' && /^[+-]?\d+$/.test(value)) {
+                const number = Number(value);
+                // Keep integer64 values beyond the safe range as strings, DuckDB casts them exactly
+                return Number.isSafeInteger(number) ? number : value;
+            }
+            break;
+        case 'decimal':
+            if (typeof value === 'number') return value;
+            if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+            break;
+        case 'date':
+            // Partial dates (YYYY, YYYY-MM) are padded to the first day
+            if (typeof value === 'string' && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) {
+                return `${value}-01-01`.slice(0, 10);
+            }
+            break;
+        case 'dateTime':
+        case 'instant':
+            if (typeof value === 'string' && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) {
+                return `${`${value}-01-01`.slice(0, 10)}T00:00:00.000Z`;
+            }
+            if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value))) {
+                // Normalize to a UTC timestamp so offsets are not lost on insert
+                return new Date(value).toISOString();
+            }
+            break;
+        case 'time':
+            if (typeof value === 'string' && /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) return value;
+            break;
+        default:
+            // String-like types accept any primitive value
+            if (typeof value === 'string') return value;
+            if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    }
+
+    throw new Error(`value ${JSON.stringify(value)} does not match type "${type}"`);
+}
+
+/**
+ * Reports a column contract violation: throws in strict mode, counts a warning otherwise.
+ * @param {object} context - The evaluation context.
+ * @param {object} col - The column definition.
+ * @param {string} message - The violation.
+ */
+function reportContractViolation(context, col, message) {
+    const resourceId = context.scope && context.scope.resource ? context.scope.resource.id : undefined;
+    const description = `View "${context.viewName}", column "${col.name}", resource ${resourceId}: ${message}`;
+
+    if (context.strict) {
+        throw new Error(description);
+    }
+
+    context.stats.warnings++;
+    logger.warn(description);
+}
+
+/**
+ * Applies the column's cardinality and type contract to the evaluated result.
+ * @param {Array} result - The result of the FHIRPath expression.
+ * @param {object} col - The column definition.
+ * @param {object} context - The evaluation context.
+ * @returns {*} The column value.
+ */
+function applyColumnContract(result, col, context) {
+    const coerce = (value) => {
+        if (!col.type) return value;
+        try {
+            return coerceValue(value, col.type);
+        } catch (error) {
+            reportContractViolation(context, col, error.message);
+            return null;
+        }
+    };
+
+    if (col.collection) {
+        return result.map(coerce);
+    }
+
+    if (result.length > 1) {
+        reportContractViolation(context, col, `expected a single value but got ${result.length} (set collection: true to keep them all)`);
+    }
+
+    return result.length > 0 ? coerce(result[0]) : null;
+}
+
 /**
  * Processes columns for a FHIR resource.
  * @param {object} resource - The FHIR resource.
  * @param {Array} columns - The columns to process.
  * @param {object} context - The evaluation context.
- * @returns {object|null} The processed row or null if no valid data is found.
+ * @returns {object} The processed row, kept even when every column is null.
  */
 function processColumns(resource, columns, context) {
     const row = {};
-    let hasData = false;
 
     columns.forEach(col => {
+        let result;
         try {
-            let result;
             if (col.path === "$this") {
                 // Directly use the value of $this from the context
                 result = [context.$this];
@@ -98,21 +325,37 @@ function processColumns(resource, columns, context) {
                 // Evaluate the FHIRPath expression for other columns
                 result = evaluateFhirPath(resource, col.path, context);
             }
-
             logger.debug(`Evaluated path "${col.path}": ${JSON.stringify(result)}`);
-            row[col.name] = col.collection ? result : result.length > 0 ? result[0] : null;
-
-            if (row[col.name] !== null) {
-                hasData = true;
-            }
         } catch (error) {
             logger.error(`Error evaluating FHIRPath "${col.path}" on resource:`, resource);
             logger.error(error);
-            row[col.name] = null; // Set the column value to null if evaluation fails
+            result = []; // Set the column value to null if evaluation fails
         }
+
+        row[col.name] = applyColumnContract(result, col, context);
     });
 
-    return hasData ? row : null;
+    return row;
+}
+
+/**
+ * Builds a row with every column of a select definition, including nested selects, set to null.
+ * @param {object} selectDef - The select definition.
+ * @returns {object} The null-padded row.
+ */
+function nullRow(selectDef) {
+    const row = {};
+    (selectDef.column || []).forEach(col => {
+        row[col.name] = col.collection ? [] : null;
+    });
+    (selectDef.select || []).forEach(nestedSelect => {
+        Object.assign(row, nullRow(nestedSelect));
+    });
+    if (selectDef.unionAll && selectDef.unionAll.length > 0) {
+        // All unionAll branches share the same columns
+        Object.assign(row, nullRow(selectDef.unionAll[0]));
+    }
+    return row;
 }
 
 /**
@@ -130,6 +373,84 @@ function evaluateWhereClauses(resource, whereClauses, context) {
     });
 }
 
+/**
+ * Creates the evaluation context shared by every resource of a ViewDefinition. Create it once per
+ * view and pass it to every processNdjson call so compiled expressions are reused across files.
+ * @param {Array} constants - Constants for FHIRPath evaluation.
+ * @param {object} options - The contract options.
+ * @param {string} options.name - The ViewDefinition name, used in contract violation messages.
+ * @param {boolean} options.strict - Whether contract violations raise an error instead of a warning.
+ * @param {string|Array<string>} options.fhirVersion - The ViewDefinition fhirVersion, selecting the fhirpath model.
+ * @returns {object} The evaluation context.
+ */
+function createEvaluationContext(constants, { name, strict = config.strictMode, fhirVersion } = {}) {
+    const scope = { resource: null };
+    const { release, model } = resolveFhirModel(fhirVersion);
+    logger.debug(`Evaluating view "${name}" with the FHIR ${release} model`);
+
+    return {
+        scope,
+        model,
+        viewName: name,
+        strict,
+        stats: { warnings: 0, paths: {} },
+        expressions: new Map(),
+        userInvocationTable: createCustomFunctions(scope),
+        vars: createConstantVariables(constants || [])
+    };
+}
+
+/**
+ * Evaluates a ViewDefinition against a single FHIR resource.
+ * @param {object} resourceData - The FHIR resource.
+ * @param {object} options - The processing options.
+ * @param {Array} options.columns - The columns to extract.
+ * @param {Array} options.whereClauses - The where clauses to filter resources.
+ * @param {string} options.resource - The expected resource type.
+ * @param {Array} options.select - The select definitions.
+ * @param {object} options.context - The evaluation context.
+ * @returns {Array|null} The generated rows, or null if the resource is skipped by type or where clauses.
+ */
+function evaluateResource(resourceData, { columns, whereClauses, resource, select, context }) {
+    if (resourceData.resourceType !== resource) {
+        logger.debug(`Skipping resource of type ${resourceData.resourceType} (expected ${resource})`);
+        return null;
+    }
+
+    // Expose the resource as %resource and %rootResource in every nested context
+    context.scope.resource = resourceData;
+    const resourceContext = {
+        ...context,
+        vars: { ...context.vars, resource: resourceData, rootResource: resourceData }
+    };
+
+    const includeResource = whereClauses
+        ? evaluateWhereClauses(resourceData, whereClauses, resourceContext)
+        : true;
+
+    return includeResource
+        ? processResource(resourceData, { columns, select, context: resourceContext })
+        : null;
+}
+
+/**
+ * Evaluates a ViewDefinition against resources already loaded in memory.
+ * @param {Array} resources - The FHIR resources.
+ * @param {object} options - The processing options (see processNdjson).
+ * @returns {Array} The generated rows.
+ */
+function evaluateResources(resources, { columns, whereClauses, resource, constants, select, name, strict, fhirVersion }) {
+    const context = createEvaluationContext(constants, { name, strict, fhirVersion });
+
+    return resources.flatMap(resourceData => evaluateResource(resourceData, {
+        columns,
+        whereClauses,
+        resource,
+        select,
+        context
+    }) || []);
+}
+
 /**
  * Processes an NDJSON file and extracts rows based on the provided configuration.
  * @param {string} filePath - The path to the NDJSON file.
@@ -139,160 +460,467 @@ function evaluateWhereClauses(resource, whereClauses, context) {
  * @param {string} options.resource - The expected resource type.
  * @param {Array} options.constants - Constants for FHIRPath evaluation.
  * @param {Array} options.select - The select definitions.
- * @returns {Promise<Array>} The processed rows.
+ * @param {string} options.name - The ViewDefinition name, used in contract violation messages.
+ * @param {boolean} options.strict - Whether contract violations fail the resource (defaults to STRICT_MODE).
+ * @param {string|Array<string>} options.fhirVersion - The ViewDefinition fhirVersion (defaults to FHIR_VERSION).
+ * @param {object} options.summary - Optional object the record and warning counts are added to.
+ * @param {object} options.context - Optional evaluation context from createEvaluationContext, shared across files.
+ * @param {Function} options.onRows - Optional async callback receiving the rows in chunks of BATCH_SIZE instead of
+ *   collecting them (see processNdjsonViews).
+ * @returns {Promise<Array>} The processed rows (empty when onRows is given).
  */
-async function processNdjson(filePath, { columns, whereClauses, resource, constants, select }) {
-    logger.debug(`Starting processNdjson for resource: ${resource}`);
-    logger.debug(`Configuration:`, {
-        columns: JSON.stringify(columns),
-        whereClauses: JSON.stringify(whereClauses),
-        constants: JSON.stringify(constants),
-        select: JSON.stringify(select)
+async function processNdjson(filePath, options) {
+    const [rows] = await processNdjsonViews(filePath, [options]);
+    return rows;
+}
+
+/**
+ * Hands a view's buffered rows, with the version of the resource behind each row, to its onRows
+ * sink and empties the buffers.
+ * @param {object} state - The per-view processing state.
+ * @returns {Promise<void>}
+ */
+async function flushRows(state) {
+    if (state.rows.length === 0) {
+        return;
+    }
+
+    const batch = state.rows;
+    const versions = state.versions;
+    state.rows = [];
+    state.versions = [];
+    await state.onRows(batch, versions);
+}
+
+/**
+ * Reads the version of a resource from its meta.
+ * @param {object} resourceData - The FHIR resource.
+ * @returns {{versionId: string|null, lastUpdated: string|null}} The meta.versionId, and meta.lastUpdated
+ *   normalized to a UTC ISO timestamp (null when missing or not a valid instant).
+ */
+function readResourceVersion(resourceData) {
+    const meta = resourceData.meta || {};
+    const lastUpdated = meta.lastUpdated ? new Date(meta.lastUpdated) : null;
+
+    return {
+        versionId: meta.versionId !== undefined && meta.versionId !== null ? String(meta.versionId) : null,
+        lastUpdated: lastUpdated && !isNaN(lastUpdated.getTime()) ? lastUpdated.toISOString() : null
+    };
+}
+
+/**
+ * Converts an error into a plain object that can be posted between threads.
+ * @param {Error} err - The error.
+ * @returns {{message: string, stack: string}} The serializable error.
+ */
+function serializeError(err) {
+    return { message: err.message, stack: err.stack };
+}
+
+/**
+ * Parses and evaluates a chunk of NDJSON lines against every view. Runs on the main thread or
+ * inside an evaluation worker, so the result only holds serializable data.
+ * @param {Array<string>} lines - The NDJSON lines.
+ * @param {Array<object>} views - The views, each with columns, whereClauses, resource, select and context.
+ * @returns {Array<object>} One entry per line: `{ error }` if the line is not a JSON object, otherwise
+ *   `{ version, views }` with the resource's version (see readResourceVersion) and `{ rows }` (null
+ *   when the resource is skipped) or `{ error }` for each view.
+ */
+function evaluateLines(lines, views) {
+    return lines.map(line => {
+        let resourceData;
+        try {
+            resourceData = JSON.parse(line);
+            if (typeof resourceData !== 'object' || resourceData === null) {
+                throw new Error('Invalid resource data: not a valid JSON object');
+            }
+            logger.debug(`Parsed resource data for ID: ${resourceData.id}`);
+        } catch (err) {
+            return { error: serializeError(err) };
+        }
+
+        return {
+            version: readResourceVersion(resourceData),
+            views: views.map(view => {
+                try {
+                    return { rows: evaluateResource(resourceData, view) };
+                } catch (err) {
+                    return { error: serializeError(err) };
+                }
+            })
+        };
+    });
+}
+
+/**
+ * Streams an NDJSON file once and evaluates every given ViewDefinition against each resource.
+ * Each line is parsed a single time; rows, record counts and warnings are kept per view.
+ *
+ * A view with an `onRows` callback gets its rows in chunks of BATCH_SIZE instead of having them
+ * collected in memory, along with the version (meta.versionId and meta.lastUpdated) of the resource
+ * behind each row. Reading waits while a chunk is being written, so memory stays bounded however
+ * large the file is. A resource's rows are never split across chunks.
+ *
+ * With a worker pool, chunks of BATCH_SIZE lines are evaluated by the pool's workers. Their
+ * results are applied in file order, so rows come out exactly as on the main thread.
+ * @param {string} filePath - The path to the NDJSON file.
+ * @param {Array<object>} views - The views to evaluate, each with the options of processNdjson and an
+ *   optional `onRows(rows, versions)` async callback receiving each chunk of rows.
+ * @param {object} options - The execution options.
+ * @param {object} options.pool - Optional worker pool from createWorkerPool, created for these views
+ *   or a superset of them.
+ * @returns {Promise<Array<Array>>} The processed rows of each view, in the order of `views`
+ *   (empty for views with an `onRows` callback).
+ */
+async function processNdjsonViews(filePath, views, { pool } = {}) {
+    const states = views.map(({ columns, whereClauses, resource, constants, select, name, strict, fhirVersion, summary, context, onRows }) => {
+        logger.debug(`Starting processNdjson for resource: ${resource}`);
+        logger.debug(`Configuration:`, {
+            columns: JSON.stringify(columns),
+            whereClauses: JSON.stringify(whereClauses),
+            constants: JSON.stringify(constants),
+            select: JSON.stringify(select)
+        });
+
+        const viewContext = context || createEvaluationContext(constants, { name, strict, fhirVersion });
+        return {
+            view: { columns, whereClauses, resource, select, context: viewContext },
+            name,
+            summary,
+            onRows,
+            rows: [],
+            versions: [],
+            rowsGenerated: 0,
+            parsedRecords: 0,
+            invalidRecords: 0,
+            initialWarnings: viewContext.stats.warnings
+        };
     });
+    const stateViews = states.map(state => state.view);
 
-    const context = {
-        userInvocationTable: {
-            ...customFunctions,
-            ...createConstantFunctions(constants || [])
+    let totalRecords = 0;
+    let unparsableRecords = 0;
+
+    const applyRecord = async (record, line, recordNumber) => {
+        if (record.error) {
+            unparsableRecords++;
+            logger.error(`Error processing resource ${recordNumber}:`, record.error.message);
+            logFailedRecord(states[0].view.resource, { raw: line }, record.error);
+            return;
+        }
+
+        for (const [index, state] of states.entries()) {
+            const { rows, error } = record.views[index];
+            if (error) {
+                state.invalidRecords++;
+                logger.error(`Error processing resource ${recordNumber} for view "${state.name}":`, error.message);
+                logFailedRecord(state.view.resource, { raw: line }, error);
+            } else if (rows) {
+                state.rows.push(...rows);
+                if (state.onRows) {
+                    rows.forEach(() => state.versions.push(record.version));
+                }
+                state.rowsGenerated += rows.length;
+                state.parsedRecords++;
+            }
+
+            if (state.onRows && state.rows.length >= config.batchSize) {
+                await flushRows(state);
+            }
         }
     };
 
-    const rows = [];
-    let totalRecords = 0;
-    let parsedRecords = 0;
-    let invalidRecords = 0;
+    // Chunks waiting for their results, oldest first; results are applied strictly in this order
+    const pending = [];
+    const maxPending = pool ? pool.size * 2 : 0;
+
+    const applyOldestChunk = async () => {
+        const { lines, firstRecord, result } = pending.shift();
+        const { records, stats } = await result;
+        if (stats) {
+            stats.forEach((viewStats, index) => mergeStats(states[index].view.context, viewStats));
+        }
+        for (const [offset, record] of records.entries()) {
+            await applyRecord(record, lines[offset], firstRecord + offset);
+        }
+    };
+
+    const submitChunk = async (lines) => {
+        const firstRecord = totalRecords - lines.length + 1;
+        const result = pool
+            ? pool.evaluate(lines, views)
+            : Promise.resolve({ records: evaluateLines(lines, stateViews) });
+        pending.push({ lines, firstRecord, result });
+
+        while (pending.length > maxPending) {
+            await applyOldestChunk();
+        }
+    };
 
     const startTime = Date.now();
-    const { default: pLimit } = await import('p-limit');
-    const limit = pLimit(config.asyncProcessing ? config.concurrencyLimit : 1);
+    const stream = fs.createReadStream(filePath);
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    // Inline evaluation goes line by line; workers get BATCH_SIZE lines per message
+    const chunkSize = pool ? config.batchSize : 1;
 
-    return new Promise((resolve, reject) => {
-        const stream = fs.createReadStream(filePath);
-        const rl = readline.createInterface({ input: stream });
+    try {
+        let chunk = [];
 
-        rl.on('line', (line) => {
+        // Async iteration pulls lines only as fast as they are consumed, which pauses the file
+        // stream while chunks are evaluated or rows are written to the database
+        for await (const line of rl) {
             totalRecords++;
             logger.debug(`Processing record #${totalRecords}`);
 
-            limit(async () => {
-                try {
-                    const resourceData = JSON.parse(line);
-                    logger.debug(`Parsed resource data for ID: ${resourceData.id}`);
+            chunk.push(line);
+            if (chunk.length >= chunkSize) {
+                await submitChunk(chunk);
+                chunk = [];
+            }
+        }
 
-                    if (typeof resourceData !== 'object' || resourceData === null) {
-                        throw new Error('Invalid resource data: not a valid JSON object');
-                    }
+        if (chunk.length > 0) {
+            await submitChunk(chunk);
+        }
+        while (pending.length > 0) {
+            await applyOldestChunk();
+        }
 
-                    if (resourceData.resourceType !== resource) {
-                        logger.debug(`Skipping resource of type ${resourceData.resourceType} (expected ${resource})`);
+        for (const state of states) {
+            if (state.onRows) {
+                await flushRows(state);
+            }
+        }
+    } catch (err) {
+        // Settle chunks still in flight so their rejections are not left unhandled
+        await Promise.allSettled(pending.map(({ result }) => result));
+        logger.error(`Error processing NDJSON file ${filePath}:`, err);
+        throw err;
+    } finally {
+        rl.close();
+        stream.destroy();
+    }
+
+    const elapsedTime = (Date.now() - startTime) / 1000;
+
+    states.forEach(state => {
+        const warnings = state.view.context.stats.warnings - state.initialWarnings;
+        const invalidRecords = state.invalidRecords + unparsableRecords;
+        logger.info(`Final processing results:`, {
+            view: state.name,
+            totalRecords,
+            parsedRecords: state.parsedRecords,
+            invalidRecords,
+            warnings,
+            totalTime: `${elapsedTime.toFixed(2)}s`,
+            rowsGenerated: state.rowsGenerated
+        });
+
+        if (state.summary) {
+            state.summary.totalRecords = (state.summary.totalRecords || 0) + totalRecords;
+            state.summary.parsedRecords = (state.summary.parsedRecords || 0) + state.parsedRecords;
+            state.summary.invalidRecords = (state.summary.invalidRecords || 0) + invalidRecords;
+            state.summary.rowsGenerated = (state.summary.rowsGenerated || 0) + state.rowsGenerated;
+            state.summary.warnings = (state.summary.warnings || 0) + warnings;
+        }
+    });
+
+    return states.map(state => (state.onRows ? [] : state.rows));
+}
+
+/**
+ * Reads a bulk export deletion file: NDJSON Bundles whose DELETE entries name each deleted
+ * resource in request.url (e.g. "Patient/123").
+ * @param {string} filePath - The path to the NDJSON file.
+ * @returns {Promise<Map<string, Array<string>>>} The ids of the deleted resources, per resource type.
+ */
+async function readDeletedResources(filePath) {
+    const deletions = new Map();
+    const stream = fs.createReadStream(filePath);
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let bundleNumber = 0;
+
+    try {
+        for await (const line of rl) {
+            bundleNumber++;
+
+            let bundle;
+            try {
+                bundle = JSON.parse(line);
+            } catch (err) {
+                logger.error(`Error parsing deletion bundle ${bundleNumber}:`, err.message);
+                logFailedRecord('Bundle', { raw: line }, err);
+                continue;
+            }
+
+            (bundle.entry || [])
+                .filter(entry => entry.request && entry.request.method === 'DELETE')
+                .forEach(({ request }) => {
+                    const reference = parseReference(request.url);
+                    if (!reference || !reference.type) {
+                        logger.warn(`Ignoring DELETE entry of bundle ${bundleNumber} without a resource type and id: ${request.url}`);
                         return;
                     }
 
-                    const includeResource = whereClauses
-                        ? evaluateWhereClauses(resourceData, whereClauses, context)
-                        : true;
-
-                    if (includeResource) {
-                        const processedRows = processResource(resourceData, {
-                            columns,
-                            select,
-                            context
-                        });
-
-                        if (processedRows && processedRows.length > 0) {
-                            rows.push(...processedRows);
-                        }
-                        parsedRecords++;
+                    if (!deletions.has(reference.type)) {
+                        deletions.set(reference.type, new Set());
                     }
-                } catch (err) {
-                    invalidRecords++;
-                    logger.error(`Error processing resource ${totalRecords}:`, err.message);
-                    logFailedRecord(resource, { raw: line }, err);
-                }
-            }).catch(reject);
-        });
-
-        rl.on('close', () => {
-            limit(() => {
-                const elapsedTime = (Date.now() - startTime) / 1000;
-                logger.info(`Final processing results:`, {
-                    totalRecords,
-                    parsedRecords,
-                    invalidRecords,
-                    totalTime: `${elapsedTime.toFixed(2)}s`,
-                    rowsGenerated: rows.length
+                    deletions.get(reference.type).add(reference.id);
                 });
-                resolve(rows);
-            });
-        });
+        }
+    } finally {
+        rl.close();
+        stream.destroy();
+    }
 
-        rl.on('error', (err) => {
-            logger.error('Error reading NDJSON file:', err);
-            reject(err);
-        });
-    });
+    return new Map([...deletions].map(([type, ids]) => [type, [...ids]]));
 }
 
+/**
+ * Generates the rows for a single FHIR resource.
+ * @param {object} resourceData - The FHIR resource.
+ * @param {object} options - The processing options.
+ * @param {Array} options.columns - Flat columns, used when no select definitions are given.
+ * @param {Array} options.select - The select definitions.
+ * @param {object} options.context - The evaluation context.
+ * @returns {Array} The rows for this resource.
+ */
 function processResource(resourceData, { columns, select, context }) {
-    // Process base columns first
-    const baseRow = columns ? processColumns(resourceData, columns, context) : {};
-    const resultRows = [];
+    if (select && select.length > 0) {
+        return processSelects(resourceData, select, context);
+    }
+
+    return columns && columns.length > 0
+        ? [processColumns(resourceData, columns, context)]
+        : [];
+}
+
+/**
+ * Combines row sets by cross join: every row of each set is merged with every row of the others.
+ * An empty set yields no rows.
+ * @param {Array<Array<object>>} rowSets - The row sets to combine.
+ * @returns {Array} The combined rows.
+ */
+function crossJoin(rowSets) {
+    return rowSets.reduce(
+        (combined, rows) => combined.flatMap(left => rows.map(right => ({ ...left, ...right }))),
+        [{}]
+    );
+}
+
+/**
+ * Generates rows for a list of sibling select definitions evaluated against the same node,
+ * combined by cross join as SQL-on-FHIR v2 defines.
+ * @param {object} node - The resource or element the selects are evaluated against.
+ * @param {Array} selects - The sibling select definitions.
+ * @param {object} context - The evaluation context.
+ * @returns {Array} The generated rows.
+ */
+function processSelects(node, selects, context) {
+    return crossJoin(selects.map(selectDef => processSelect(node, selectDef, context)));
+}
 
-    // If no select definitions, return base row if it has data
-    if (!select || select.length === 0) {
-        return Object.keys(baseRow).length > 0 ? [baseRow] : [];
+/**
+ * Recursively collects the elements reached by applying the repeat paths to a node and to
+ * every element they return, depth first.
+ * @param {object} node - The resource or element to start from (not included in the result).
+ * @param {Array<string>} paths - The repeat FHIRPath expressions.
+ * @param {object} context - The evaluation context.
+ * @param {number} depth - The current recursion depth.
+ * @param {Set} visited - Elements already collected, to guard against cycles.
+ * @returns {Array} The collected elements.
+ */
+function evaluateRepeat(node, paths, context, depth = 1, visited = new Set()) {
+    if (depth > config.maxRepeatDepth) {
+        throw new Error(`Repeat depth limit of ${config.maxRepeatDepth} exceeded for paths [${paths.join(', ')}]`);
     }
 
-    // Process non-forEach columns to build the base row
-    let mainRow = { ...baseRow };
-    select.forEach(selectDef => {
-        if (!selectDef.forEach && selectDef.column) {
-            const regularRow = processColumns(resourceData, selectDef.column, context);
-            if (regularRow) {
-                mainRow = { ...mainRow, ...regularRow };
+    const elements = [];
+    paths.forEach(path => {
+        evaluateFhirPath(node, path, context).forEach(element => {
+            if (!element || visited.has(element)) {
+                logger.debug(`Skipping repeated element for path "${path}"`);
+                return;
             }
-        }
+            visited.add(element);
+            elements.push(element, ...evaluateRepeat(element, paths, context, depth + 1, visited));
+        });
     });
 
-    // Process forEach sections
-    select.forEach(selectDef => {
-        if (selectDef.forEach) {
-            const elements = evaluateFhirPath(resourceData, selectDef.forEach, context);
-            logger.debug(`ForEach ${selectDef.forEach} returned ${elements ? elements.length : 0} elements`);
-
-            if (elements && elements.length > 0) {
-                elements.forEach(element => {
-                    if (element) {
-                        // Set $this to the current element in the loop
-                        const forEachContext = { ...context, $this: element };
-                        logger.debug(`Current element in forEach loop: ${JSON.stringify(element)}`);
-                        logger.debug(`Updated context with $this: ${JSON.stringify(forEachContext)}`);
-
-                        // Process columns with the updated context
-                        const nestedRow = processColumns(element, selectDef.column, forEachContext);
-                        if (nestedRow && Object.keys(nestedRow).length > 0) {
-                            resultRows.push({
-                                ...mainRow,
-                                ...nestedRow
-                            });
-                        } else {
-                            logger.debug(`No data found for element: ${JSON.stringify(element)}`);
-                        }
-                    }
-                });
-            } else {
-                logger.debug(`No elements found for forEach path: ${selectDef.forEach}`);
-            }
+    return elements;
+}
+
+/**
+ * Generates rows for a select definition, iterating over its forEach, forEachOrNull or repeat elements.
+ * @param {object} node - The resource or element the select is evaluated against.
+ * @param {object} selectDef - The select definition.
+ * @param {object} context - The evaluation context.
+ * @returns {Array} The generated rows.
+ */
+function processSelect(node, selectDef, context) {
+    const forEachPath = selectDef.forEach || selectDef.forEachOrNull;
+    if (!forEachPath && !selectDef.repeat) {
+        return processSelectBlock(node, selectDef, context);
+    }
+
+    const iterationPath = forEachPath || selectDef.repeat.join(', ');
+    const elements = selectDef.repeat
+        ? evaluateRepeat(node, selectDef.repeat, context)
+        : evaluateFhirPath(node, forEachPath, context);
+    logger.debug(`ForEach ${iterationPath} returned ${elements ? elements.length : 0} elements`);
+
+    if (!elements || elements.length === 0) {
+        if (selectDef.forEachOrNull) {
+            // forEachOrNull still emits one row, with the nested columns set to null
+            logger.debug(`No elements found for forEachOrNull path: ${iterationPath}`);
+            return [nullRow(selectDef)];
         }
+        logger.debug(`No elements found for forEach path: ${iterationPath}`);
+        return [];
+    }
+
+    return elements.flatMap(element => {
+        if (!element) return [];
+
+        // Set $this to the current element in the loop
+        const forEachContext = { ...context, $this: element };
+        logger.debug(`Current element in forEach loop: ${JSON.stringify(element)}`);
+        return processSelectBlock(element, selectDef, forEachContext);
     });
+}
 
-    // If we have no forEach data but have base data, return just the base row
-    if (resultRows.length === 0 && Object.keys(mainRow).length > 0) {
-        resultRows.push(mainRow);
+/**
+ * Generates rows for the columns of a select definition, its nested selects and
+ * its unionAll branches, all evaluated against the same node.
+ * @param {object} node - The resource or element the block is evaluated against.
+ * @param {object} selectDef - The select definition.
+ * @param {object} context - The evaluation context.
+ * @returns {Array} The generated rows.
+ */
+function processSelectBlock(node, selectDef, context) {
+    const rowSets = [];
+
+    if (selectDef.column) {
+        rowSets.push([processColumns(node, selectDef.column, context)]);
+    }
+    if (selectDef.select && selectDef.select.length > 0) {
+        rowSets.push(processSelects(node, selectDef.select, context));
+    }
+    if (selectDef.unionAll && selectDef.unionAll.length > 0) {
+        // unionAll emits the rows of every branch, one after the other
+        rowSets.push(selectDef.unionAll.flatMap(branch => processSelect(node, branch, context)));
     }
 
-    // Return only rows for this specific resource
-    return resultRows;
+    return crossJoin(rowSets);
 }
 
-export { processNdjson };
\ No newline at end of file
+export {
+    processNdjson,
+    processNdjsonViews,
+    evaluateResources,
+    evaluateLines,
+    readDeletedResources,
+    createEvaluationContext,
+    getPathTimings,
+    takeStats
+};
\ No newline at end of file
@@ -1,3 +1,5 @@
+import crypto from 'crypto';
+import fs from 'fs';
 import logger from './logger.js';
 
 /**
@@ -22,4 +24,85 @@ export function logFailedRecord(tableName, record, error) {
     } catch (err) {
         logger.error('Error logging failed record:', err);
     }
+}
+
+/**
+ * Parses a FHIR reference string into its resource type, id and version.
+ * Handles relative ("Patient/123"), absolute ("https://server/fhir/Patient/123"),
+ * versioned (".../_history/2"), "urn:uuid:" / "urn:oid:" and contained ("#id") references.
+ * @param {string} reference - The reference string.
+ * @returns {{type: string|null, id: string, version: string|null, contained: boolean}|null}
+ *   The parsed reference, or null if no id can be extracted (e.g. conditional references).
+ */
+export function parseReference(reference) {
+    if (typeof reference !== 'string' || reference.length === 0) return null;
+
+    if (reference.startsWith('#')) {
+        const id = reference.slice(1);
+        return id ? { type: null, id, version: null, contained: true } : null;
+    }
+
+    const urnMatch = reference.match(/^urn:(?:uuid|oid):(.+)$/i);
+    if (urnMatch) {
+        return { type: null, id: urnMatch[1], version: null, contained: false };
+    }
+
+    // Conditional references ("Patient?identifier=...") do not carry an id
+    if (reference.includes('?')) return null;
+
+    let segments = reference.split('#')[0].split('/').filter(segment => segment.length > 0);
+    let version = null;
+
+    const historyIndex = segments.lastIndexOf('_history');
+    if (historyIndex !== -1) {
+        version = segments[historyIndex + 1] || null;
+        segments = segments.slice(0, historyIndex);
+    }
+
+    if (segments.length < 2) return null;
+
+    const type = segments[segments.length - 2];
+    const id = segments[segments.length - 1];
+    if (!/^[A-Z][A-Za-z]+$/.test(type) || !/^[A-Za-z0-9\-.]{1,64}$/.test(id)) return null;
+
+    return { type, id, version, contained: false };
+}
+
+/**
+ * Serializes a JSON value with object keys sorted, so equal values serialize identically.
+ * @param {*} value - The JSON value.
+ * @returns {string} The canonical JSON text.
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hashes a ViewDefinition by content, ignoring key order and formatting of its JSON file.
+ * @param {object} viewDefinition - The ViewDefinition.
+ * @returns {string} The SHA-256 hash, hex encoded.
+ */
+export function hashViewDefinition(viewDefinition) {
+    return crypto.createHash('sha256').update(canonicalJson(viewDefinition)).digest('hex');
+}
+
+/**
+ * Hashes the content of a file, streaming it so large NDJSON files are never held in memory.
+ * @param {string} filePath - The path of the file.
+ * @returns {Promise<string>} The SHA-256 hash, hex encoded.
+ */
+export function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
 }
\ No newline at end of file
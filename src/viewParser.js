@@ -1,4 +1,5 @@
 import config from './config.js';
+import { validateViewDefinition as collectValidationErrors } from './viewValidator.js';
 
 function logDebug(message) {
     if (config.debug) {
@@ -7,15 +8,12 @@ function logDebug(message) {
 }
 
 function validateViewDefinition(viewDefinition) {
-    const required = ['name', 'status', 'resource', 'select'];
-    required.forEach(field => {
-        if (!viewDefinition[field]) {
-            throw new Error(`Invalid ViewDefinition: Missing required field '${field}'`);
-        }
-    });
-
-    if (!Array.isArray(viewDefinition.select)) {
-        throw new Error('Invalid ViewDefinition: select must be an array');
+    const errors = collectValidationErrors(viewDefinition);
+    if (errors.length > 0) {
+        const details = errors.map(({ pointer, message }) => `${message} (at ${pointer})`).join('; ');
+        const error = new Error(`Invalid ViewDefinition: ${details}`);
+        error.errors = errors;
+        throw error;
     }
 }
 
@@ -56,7 +54,6 @@ function extractSelects(selects, parentPath = '') {
 
         if (select.column) {
             select.column.forEach(col => {
-                validateColumnName(col.name);
                 columns.push({
                     path: col.path,
                     name: col.name,
@@ -69,34 +66,38 @@ function extractSelects(selects, parentPath = '') {
             });
         }
 
-        if (select.select || select.forEach || select.forEachOrNull) {
+        // Nested selects add their columns to the row of their parent
+        const nestedColumns = select.select ? extractSelects(select.select, currentPath).columns : [];
+        columns.push(...nestedColumns);
+
+        if (select.select || select.forEach || select.forEachOrNull || select.repeat) {
             const nestedSelect = {
                 path: currentPath,
                 forEach: select.forEach,
                 forEachOrNull: select.forEachOrNull,
+                repeat: select.repeat,
                 column: select.column || [],
-                select: select.select ? extractSelects(select.select, currentPath).columns : []
+                select: nestedColumns
             };
             nestedSelects.push(nestedSelect);
         }
 
         if (select.unionAll) {
-            const unionResults = extractSelects(select.unionAll, `${currentPath}.union`);
-            columns.push(...unionResults.columns);
-            nestedSelects.push(...unionResults.nestedSelects);
+            const branchResults = select.unionAll.map((branch, branchIndex) =>
+                extractSelects([branch], `${currentPath}.union.${branchIndex}`)
+            );
+
+            // Every branch yields the same column set, so the first one describes the union
+            if (branchResults.length > 0) {
+                columns.push(...branchResults[0].columns);
+            }
+            branchResults.forEach(result => nestedSelects.push(...result.nestedSelects));
         }
     });
 
     return { columns, nestedSelects };
 }
 
-function validateColumnName(name) {
-    const validNamePattern = /^[A-Za-z][A-Za-z0-9_]*$/;
-    if (!validNamePattern.test(name)) {
-        throw new Error(`Invalid column name: ${name}. Must start with a letter and contain only letters, numbers, and underscores.`);
-    }
-}
-
 function extractWhereClauses(viewDefinition) {
     return (viewDefinition.where || []).map(where => ({
         path: where.path,
@@ -110,10 +111,11 @@ function parseViewDefinition(viewDefinition) {
     validateViewDefinition(viewDefinition);
 
     const { columns, nestedSelects } = extractSelects(viewDefinition.select);
+    const constants = extractConstants(viewDefinition);
 
     return {
         metadata: extractMetadata(viewDefinition),
-        constants: extractConstants(viewDefinition),
+        constants,
         columns,
         nestedSelects,
         whereClauses: extractWhereClauses(viewDefinition),
@@ -122,4 +124,4 @@ function parseViewDefinition(viewDefinition) {
     };
 }
 
-export { parseViewDefinition };
\ No newline at end of file
+export { parseViewDefinition, validateViewDefinition };
\ No newline at end of file
@@ -0,0 +1,334 @@
+import fhirpath from 'fhirpath';
+import { resolveFhirModel } from './fhirModels.js';
+
+// Keys allowed on every element, in addition to the element's own keys
+const ELEMENT_KEYS = ['id', 'extension', 'modifierExtension'];
+
+const VIEW_DEFINITION_KEYS = [
+    ...ELEMENT_KEYS, 'resourceType', 'meta', 'implicitRules', 'language', 'text', 'contained',
+    'url', 'identifier', 'version', 'name', 'title', 'status', 'experimental', 'date', 'publisher',
+    'contact', 'description', 'useContext', 'purpose', 'copyright', 'resource', 'resourceVersion',
+    'fhirVersion', 'constant', 'select', 'where'
+];
+const SELECT_KEYS = [...ELEMENT_KEYS, 'column', 'select', 'forEach', 'forEachOrNull', 'repeat', 'unionAll'];
+const COLUMN_KEYS = [...ELEMENT_KEYS, 'path', 'name', 'description', 'collection', 'type', 'tag'];
+const WHERE_KEYS = [...ELEMENT_KEYS, 'path', 'description'];
+const TAG_KEYS = [...ELEMENT_KEYS, 'name', 'value'];
+
+// FHIR primitive types a column may declare
+const COLUMN_TYPES = [
+    'base64Binary', 'boolean', 'canonical', 'code', 'date', 'dateTime', 'decimal', 'id', 'instant',
+    'integer', 'integer64', 'markdown', 'oid', 'positiveInt', 'string', 'time', 'unsignedInt', 'uri',
+    'url', 'uuid'
+];
+
+// Environment variables fhirpath.js provides on its own, plus the ones set for every resource
+const BUILT_IN_VARIABLES = ['context', 'ucum', 'factory', 'terminologies', 'resource', 'rootResource'];
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Escapes a key for use as a JSON pointer segment (RFC 6901).
+ * @param {string|number} key - The object key or array index.
+ * @returns {string} The escaped segment.
+ */
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function addError(errors, pointer, message) {
+    errors.push({ pointer: pointer || '/', message });
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function checkUnknownKeys(element, allowedKeys, pointer, errors) {
+    // Non-objects are reported by the caller, they have no keys to check
+    if (!isObject(element)) return;
+
+    Object.keys(element).forEach(key => {
+        // "_field" holds the id and extensions of a primitive field
+        const baseKey = key.startsWith('_') ? key.slice(1) : key;
+        if (!allowedKeys.includes(baseKey)) {
+            addError(errors, `${pointer}/${escapePointer(key)}`, `Unknown key '${key}'`);
+        }
+    });
+}
+
+function checkPath(path, pointer, errors, variables) {
+    if (typeof path !== 'string' || path.trim() === '') {
+        addError(errors, pointer, 'FHIRPath expression must be a non-empty string');
+        return;
+    }
+
+    try {
+        fhirpath.parse(path);
+    } catch (error) {
+        addError(errors, pointer, `Invalid FHIRPath "${path}": ${error.message}`);
+        return;
+    }
+
+    findVariableReferences(path).forEach(name => {
+        if (!variables.has(name)) {
+            addError(errors, pointer, `undefined constant '%${name}' referenced in path "${path}"`);
+        }
+    });
+}
+
+/**
+ * Finds the %variable references of a FHIRPath expression.
+ * @param {string} path - The FHIRPath expression.
+ * @returns {Array<string>} The referenced variable names.
+ */
+function findVariableReferences(path) {
+    // Drop string literals so a '%' inside quotes is not mistaken for a variable
+    const code = path.replace(/'(?:[^'\\]|\\.)*'/g, "''");
+    const references = [];
+    const pattern = /%(?:`([^`]+)`|([A-Za-z_][A-Za-z0-9_]*))/g;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        references.push(match[1] || match[2]);
+    }
+    return references;
+}
+
+function checkConstants(constants, errors) {
+    if (!Array.isArray(constants)) {
+        addError(errors, '/constant', 'constant must be an array');
+        return [];
+    }
+
+    return constants.map((constant, index) => {
+        const pointer = `/constant/${index}`;
+        if (!isObject(constant)) {
+            addError(errors, pointer, 'constant must be a JSON object');
+            return undefined;
+        }
+
+        const valueKeys = Object.keys(constant).filter(key => key.startsWith('value'));
+
+        checkUnknownKeys(constant, [...ELEMENT_KEYS, 'name', ...valueKeys], pointer, errors);
+        if (!NAME_PATTERN.test(constant.name || '')) {
+            addError(errors, `${pointer}/name`, `invalid constant name '${constant.name}': must start with a letter and contain only letters, numbers, and underscores`);
+        }
+        if (valueKeys.length !== 1) {
+            addError(errors, pointer, `Constant '${constant.name}' must have exactly one value[x]`);
+        }
+
+        return constant.name;
+    });
+}
+
+function checkColumn(column, pointer, errors, variables) {
+    if (!isObject(column)) {
+        addError(errors, pointer, 'column must be a JSON object');
+        return;
+    }
+    checkUnknownKeys(column, COLUMN_KEYS, pointer, errors);
+    checkPath(column.path, `${pointer}/path`, errors, variables);
+
+    if (!NAME_PATTERN.test(column.name || '')) {
+        addError(errors, `${pointer}/name`, `invalid column name '${column.name}': must start with a letter and contain only letters, numbers, and underscores`);
+    }
+    if (column.type !== undefined && !COLUMN_TYPES.includes(column.type)) {
+        addError(errors, `${pointer}/type`, `Unknown column type '${column.type}'`);
+    }
+    if (column.collection !== undefined && typeof column.collection !== 'boolean') {
+        addError(errors, `${pointer}/collection`, 'collection must be a boolean');
+    }
+    if (column.tag !== undefined) {
+        if (!Array.isArray(column.tag)) {
+            addError(errors, `${pointer}/tag`, 'tag must be an array');
+            return;
+        }
+        column.tag.forEach((tag, index) => {
+            if (!isObject(tag)) {
+                addError(errors, `${pointer}/tag/${index}`, 'tag must be a JSON object');
+                return;
+            }
+            checkUnknownKeys(tag, TAG_KEYS, `${pointer}/tag/${index}`, errors);
+        });
+    }
+}
+
+/**
+ * Checks a select and returns the columns it produces, with union branches counted once.
+ * @returns {Array<{name: string, pointer: string}>} The produced columns.
+ */
+function checkSelect(select, pointer, errors, variables) {
+    if (!isObject(select)) {
+        addError(errors, pointer, 'select must be a JSON object');
+        return [];
+    }
+    checkUnknownKeys(select, SELECT_KEYS, pointer, errors);
+
+    const iterations = ['forEach', 'forEachOrNull', 'repeat'].filter(key => select[key] !== undefined);
+    if (iterations.length > 1) {
+        addError(errors, pointer, `Only one of ${iterations.join(', ')} may be set on a select`);
+    }
+    if (select.forEach !== undefined) checkPath(select.forEach, `${pointer}/forEach`, errors, variables);
+    if (select.forEachOrNull !== undefined) checkPath(select.forEachOrNull, `${pointer}/forEachOrNull`, errors, variables);
+    if (select.repeat !== undefined) {
+        if (!Array.isArray(select.repeat) || select.repeat.length === 0) {
+            addError(errors, `${pointer}/repeat`, 'repeat must be a non-empty array of FHIRPath expressions');
+        } else {
+            select.repeat.forEach((path, index) => checkPath(path, `${pointer}/repeat/${index}`, errors, variables));
+        }
+    }
+
+    const columns = [];
+    if (select.column !== undefined) {
+        if (Array.isArray(select.column)) {
+            select.column.forEach((column, index) => {
+                const columnPointer = `${pointer}/column/${index}`;
+                checkColumn(column, columnPointer, errors, variables);
+                if (isObject(column)) {
+                    columns.push({ name: column.name, pointer: `${columnPointer}/name` });
+                }
+            });
+        } else {
+            addError(errors, `${pointer}/column`, 'column must be an array');
+        }
+    }
+
+    if (select.select !== undefined) {
+        columns.push(...checkSelects(select.select, `${pointer}/select`, errors, variables));
+    }
+
+    if (select.unionAll !== undefined) {
+        if (!Array.isArray(select.unionAll)) {
+            addError(errors, `${pointer}/unionAll`, 'unionAll must be an array');
+            return columns;
+        }
+
+        const branchColumns = select.unionAll.map((branch, index) =>
+            checkSelect(branch, `${pointer}/unionAll/${index}`, errors, variables)
+        );
+        const columnSets = branchColumns.map(branch => branch.map(col => col.name).join(', '));
+        columnSets.forEach((columnSet, index) => {
+            if (columnSet !== columnSets[0]) {
+                addError(errors, `${pointer}/unionAll/${index}`, `unionAll branches must have the same columns (branch 0: [${columnSets[0]}], branch ${index}: [${columnSet}])`);
+            }
+        });
+
+        // Every branch yields the same column set, so the first one describes the union
+        if (branchColumns.length > 0) {
+            columns.push(...branchColumns[0]);
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * Checks a list of selects and returns the columns they produce.
+ * @returns {Array<{name: string, pointer: string}>} The produced columns.
+ */
+function checkSelects(selects, pointer, errors, variables) {
+    if (!Array.isArray(selects)) {
+        addError(errors, pointer, 'select must be an array');
+        return [];
+    }
+
+    return selects.flatMap((select, index) => checkSelect(select, `${pointer}/${index}`, errors, variables));
+}
+
+const resourceTypesByModel = new Map();
+
+/**
+ * Lists the resource types known to a fhirpath model.
+ * @param {object} model - The fhirpath model.
+ * @returns {Set<string>} The resource type names.
+ */
+function resourceTypes(model) {
+    if (resourceTypesByModel.has(model)) {
+        return resourceTypesByModel.get(model);
+    }
+
+    const isResource = (type) => {
+        for (let current = type; current; current = model.type2Parent[current]) {
+            if (current === 'Resource') return true;
+        }
+        return false;
+    };
+
+    const types = new Set(Object.keys(model.type2Parent)
+        .filter(type => type !== 'Resource' && type !== 'DomainResource' && isResource(type)));
+    resourceTypesByModel.set(model, types);
+    return types;
+}
+
+/**
+ * Validates the whole structure of a ViewDefinition.
+ * @param {object} viewDefinition - The ViewDefinition.
+ * @returns {Array<{pointer: string, message: string}>} The errors found, each with the JSON pointer
+ *   of the offending element; empty when the ViewDefinition is valid.
+ */
+function validateViewDefinition(viewDefinition) {
+    const errors = [];
+
+    if (!isObject(viewDefinition)) {
+        addError(errors, '/', 'ViewDefinition must be a JSON object');
+        return errors;
+    }
+
+    checkUnknownKeys(viewDefinition, VIEW_DEFINITION_KEYS, '', errors);
+
+    ['name', 'status', 'resource', 'select'].forEach(field => {
+        if (!viewDefinition[field]) {
+            addError(errors, `/${field}`, `Missing required field '${field}'`);
+        }
+    });
+    if (viewDefinition.name && !NAME_PATTERN.test(viewDefinition.name)) {
+        addError(errors, '/name', `invalid view name '${viewDefinition.name}': must start with a letter and contain only letters, numbers, and underscores`);
+    }
+
+    if (viewDefinition.resource) {
+        try {
+            const { release, model } = resolveFhirModel(viewDefinition.fhirVersion);
+            if (!resourceTypes(model).has(viewDefinition.resource)) {
+                addError(errors, '/resource', `Unknown resource type '${viewDefinition.resource}' for FHIR ${release}`);
+            }
+        } catch (error) {
+            addError(errors, '/fhirVersion', error.message);
+        }
+    }
+
+    const constantNames = viewDefinition.constant !== undefined
+        ? checkConstants(viewDefinition.constant, errors)
+        : [];
+    const variables = new Set([...BUILT_IN_VARIABLES, ...constantNames]);
+
+    if (viewDefinition.where !== undefined) {
+        if (Array.isArray(viewDefinition.where)) {
+            viewDefinition.where.forEach((where, index) => {
+                if (!isObject(where)) {
+                    addError(errors, `/where/${index}`, 'where must be a JSON object');
+                    return;
+                }
+                checkUnknownKeys(where, WHERE_KEYS, `/where/${index}`, errors);
+                checkPath(where.path, `/where/${index}/path`, errors, variables);
+            });
+        } else {
+            addError(errors, '/where', 'where must be an array');
+        }
+    }
+
+    if (viewDefinition.select) {
+        const columns = checkSelects(viewDefinition.select, '/select', errors, variables);
+
+        const seen = new Set();
+        columns.forEach(({ name, pointer }) => {
+            if (seen.has(name)) {
+                addError(errors, pointer, `Duplicate column name '${name}'`);
+            }
+            seen.add(name);
+        });
+    }
+
+    return errors;
+}
+
+export { validateViewDefinition };
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { Worker } from 'worker_threads';
+import logger from './logger.js';
+
+const workerScript = new URL('./evaluationWorker.js', import.meta.url);
+
+/**
+ * Creates a pool of worker threads that evaluate chunks of NDJSON lines against a set of views.
+ * @param {Array<object>} views - The views to evaluate (columns, whereClauses, resource, constants,
+ *   select, name, strict, fhirVersion); every chunk is evaluated against all of them.
+ * @param {number} size - The number of worker threads.
+ * @returns {object} The pool, with `size`, `evaluate(lines)` and `close()`.
+ */
+function createWorkerPool(views, size) {
+    const workerViews = views.map(({ columns, whereClauses, resource, constants, select, name, strict, fhirVersion }) => ({
+        columns, whereClauses, resource, constants, select, name, strict, fhirVersion
+    }));
+
+    const tasks = new Map();
+    let nextTaskId = 0;
+    let failure = null;
+    let closing = false;
+
+    const fail = (entry, error) => {
+        if (failure || closing) {
+            return;
+        }
+
+        failure = new Error(`Evaluation worker ${entry.index} crashed: ${error.message}`);
+        failure.cause = error;
+        logger.error(failure.message, { stack: error.stack });
+
+        // Chunks are applied in order, so one lost chunk fails every pending one
+        tasks.forEach(task => task.reject(failure));
+        tasks.clear();
+        entries.forEach(other => other.worker.terminate());
+    };
+
+    const entries = Array.from({ length: size }, (_, index) => {
+        const entry = {
+            index,
+            pending: 0,
+            worker: new Worker(workerScript, { workerData: { views: workerViews } })
+        };
+
+        entry.worker.on('message', ({ id, records, stats }) => {
+            const task = tasks.get(id);
+            if (task) {
+                tasks.delete(id);
+                entry.pending--;
+                task.resolve({ records, stats });
+            }
+        });
+        entry.worker.on('error', error => fail(entry, error));
+        entry.worker.on('exit', code => {
+            if (code !== 0) {
+                fail(entry, new Error(`exited with code ${code}`));
+            }
+        });
+
+        return entry;
+    });
+
+    /**
+     * Evaluates a chunk of lines on the least busy worker.
+     * @param {Array<string>} lines - The NDJSON lines.
+     * @param {Array<object>} chunkViews - The views to evaluate the lines against, among those the pool
+     *   was created for (defaults to all of them).
+     * @returns {Promise<{records: Array, stats: Array}>} The evaluation result (see evaluateLines) and
+     *   the statistics gathered per view while evaluating the chunk, in the order of `chunkViews`.
+     */
+    function evaluate(lines, chunkViews = views) {
+        if (failure) {
+            return Promise.reject(failure);
+        }
+
+        const viewIndexes = chunkViews.map(view => views.indexOf(view));
+        if (viewIndexes.includes(-1)) {
+            return Promise.reject(new Error('The worker pool was not created for every view of the chunk'));
+        }
+
+        const entry = entries.reduce((least, candidate) => (candidate.pending < least.pending ? candidate : least));
+        const id = nextTaskId++;
+
+        return new Promise((resolve, reject) => {
+            tasks.set(id, { resolve, reject });
+            entry.pending++;
+            entry.worker.postMessage({ id, lines, viewIndexes });
+        });
+    }
+
+    /**
+     * Stops every worker of the pool.
+     * @returns {Promise<void>}
+     */
+    async function close() {
+        closing = true;
+        await Promise.all(entries.map(entry => entry.worker.terminate()));
+    }
+
+    return { size, evaluate, close };
+}
+
+export { createWorkerPool };
\ No newline at end of file